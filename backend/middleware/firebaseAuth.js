@@ -1,21 +1,166 @@
 const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { readSession } = require('../utils/sessions');
 
+const API_KEY_PREFIX = 'ipk_';
+
+function hashApiKey(rawKey) {
+  return crypto.createHash('sha256').update(String(rawKey)).digest('hex');
+}
+
+// Returns the raw key (shown to the seller once) and the hash we persist.
+function generateApiKey() {
+  const rawKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { rawKey, hash: hashApiKey(rawKey), prefix: rawKey.slice(0, 8) };
+}
+
+// Offline stand-in for admin.auth().verifyIdToken.
+// Token format: "local.<base64url JSON claims>", e.g. { "uid": "u1", "email": "a@b.com" }.
+// Enabled with AUTH_VERIFIER=local; never honored when NODE_ENV=production.
+async function localTokenVerifier(token) {
+  if (!token.startsWith('local.')) throw new Error('not a local token');
+  const claims = JSON.parse(Buffer.from(token.slice(6), 'base64url').toString('utf8'));
+  if (!claims.uid && !claims.email) throw new Error('local token missing uid/email');
+  return { uid: claims.uid || claims.email, email_verified: true, ...claims };
+}
+
+async function firebaseTokenVerifier(token) {
+  return admin.auth().verifyIdToken(token);
+}
+
+let tokenVerifier = null;
+
+function getTokenVerifier() {
+  if (tokenVerifier) return tokenVerifier;
+  if (process.env.AUTH_VERIFIER === 'local') {
+    if (process.env.NODE_ENV === 'production') {
+      console.warn('AUTH_VERIFIER=local ignored in production');
+      return firebaseTokenVerifier;
+    }
+    return localTokenVerifier;
+  }
+  return firebaseTokenVerifier;
+}
+
+// Swap the ID token verifier (tests / offline runs). Pass null to restore the default.
+function setTokenVerifier(fn) {
+  tokenVerifier = fn || null;
+}
+
+async function findSellerBy(field, value) {
+  const snap = await admin.firestore().collection('sellers').where(field, '==', value).limit(1).get();
+  if (snap.empty) return null;
+  const doc = snap.docs[0];
+  const data = doc.data();
+  return { ...data, sellerId: data.sellerId || doc.id };
+}
+
+// Resolve credentials on the request. Returns { auth, seller } on success,
+// { status, error } on bad credentials, or null when none were sent.
+async function authenticate(req) {
+  const authHeader = req.headers.authorization || '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+
+  if (!token) {
+    const session = await readSession(req);
+    if (!session) return null;
+    const sSnap = await admin.firestore().collection('sellers').doc(String(session.sellerId)).get();
+    if (!sSnap.exists) return { status: 401, error: 'Unauthorized: seller not found' };
+    return {
+      auth: { method: 'session', uid: null, email: session.email, sessionId: session.sessionId },
+      seller: { ...sSnap.data(), sellerId: sSnap.data().sellerId || sSnap.id }
+    };
+  }
+
+  if (token.startsWith(API_KEY_PREFIX)) {
+    const seller = await findSellerBy('apiKeyHash', hashApiKey(token));
+    if (!seller) return { status: 401, error: 'Unauthorized: invalid API key' };
+    return { auth: { method: 'api_key', uid: null, email: seller.email }, seller };
+  }
+
+  const decoded = await getTokenVerifier()(token);
+  const email = decoded.email ? String(decoded.email).toLowerCase() : null;
+
+  let seller = null;
+  if (decoded.sellerId) seller = await findSellerBy('sellerId', decoded.sellerId);
+  if (!seller && email && decoded.email_verified !== false) seller = await findSellerBy('email', email);
+  return { auth: { method: 'id_token', uid: decoded.uid, email }, seller };
+}
+
+/**
+ * Authenticate the caller.
+ * Accepts "Authorization: Bearer <token>" where token is either a Firebase ID token
+ * or a seller API key (ipk_...); without a header, falls back to the magic-link
+ * session cookie. Sets req.auth and req.seller (null when the identity has no
+ * seller doc yet, e.g. first-time onboarding).
+ */
 async function verifyFirebaseToken(req, res, next) {
-//   const authHeader = req.headers.authorization || '';
-//   const token = authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
-  
-//   if (!token) {
-//     return res.status(401).send({ error: 'Unauthorized: no token' });
-//   }
-
-//   // Simple API key check
-//   if (token === process.env.API_KEY) {
-//     req.user = { id: 'default-user' };
-//     return next();
-//   }
-
-//   return res.status(401).send({ error: 'Unauthorized: invalid token' });
+  try {
+    const result = await authenticate(req);
+    if (!result) return res.status(401).send({ error: 'Unauthorized: no token' });
+    if (result.error) return res.status(result.status).send({ error: result.error });
+    req.auth = result.auth;
+    req.seller = result.seller;
+    return next();
+  } catch (err) {
+    console.error('verifyFirebaseToken err', err.message);
+    return res.status(401).send({ error: 'Unauthorized: invalid token' });
+  }
+}
+
+// Same as verifyFirebaseToken, but anonymous or invalid credentials continue with req.seller = null
+async function optionalAuth(req, res, next) {
+  req.auth = null;
+  req.seller = null;
+  try {
+    const result = await authenticate(req);
+    if (result && !result.error) {
+      req.auth = result.auth;
+      req.seller = result.seller;
+    }
+  } catch (err) {
+    console.warn('optionalAuth ignored credentials:', err.message);
+  }
+  return next();
+}
+
+/**
+ * Authorize access to a seller-owned resource. Must run after verifyFirebaseToken.
+ * getSellerId(req) returns the sellerId the request targets; when it returns
+ * nothing the request is scoped to the authenticated seller.
+ */
+function requireSellerAccess(getSellerId = (req) => req.params.sellerId || req.body?.sellerId || req.query?.sellerId) {
+  return (req, res, next) => {
+    if (!req.seller) return res.status(403).send({ error: 'Forbidden: no seller for this identity' });
+    const target = getSellerId(req);
+    if (target && String(target) !== String(req.seller.sellerId)) {
+      return res.status(403).send({ error: 'Forbidden: seller mismatch' });
+    }
+    const email = req.body?.email || req.body?.sellerEmail;
+    if (typeof email === 'string' && email.toLowerCase().trim() !== String(req.seller.email || '').toLowerCase()) {
+      return res.status(403).send({ error: 'Forbidden: email does not match authenticated seller' });
+    }
+    return next();
+  };
+}
+
+// Platform operators, by verified email (ADMIN_EMAILS, comma separated). Must run after verifyFirebaseToken.
+function requireAdmin(req, res, next) {
+  const admins = String(process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(e => e.trim().toLowerCase())
+    .filter(Boolean);
+  const email = String(req.auth?.email || '').toLowerCase();
+  if (!email || !admins.includes(email)) return res.status(403).send({ error: 'Forbidden: admin only' });
   return next();
 }
 
-module.exports = { verifyFirebaseToken };
\ No newline at end of file
+module.exports = {
+  verifyFirebaseToken,
+  optionalAuth,
+  requireSellerAccess,
+  requireAdmin,
+  setTokenVerifier,
+  generateApiKey,
+  hashApiKey
+};
@@ -0,0 +1,112 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+const IDEMPOTENCY_TTL_MS = 24 * 3600 * 1000;
+// How long an in-progress claim blocks replays; a request that crashed mid-flight frees its key after this
+const IDEMPOTENCY_LEASE_MS = Number(process.env.IDEMPOTENCY_LEASE_MS || 2 * 60 * 1000);
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function toMillis(v) {
+  if (!v) return 0;
+  if (typeof v.toMillis === 'function') return v.toMillis();
+  return new Date(v).getTime();
+}
+
+/**
+ * Honor an optional "Idempotency-Key" header on a mutating route.
+ * - First request: runs the handler and caches its (non-5xx) response for 24h
+ *   in `idempotencyKeys` (set a Firestore TTL policy on `expiresAt` to purge).
+ * - Replays with the same key + body: returns the cached response.
+ * - Same key, different body: 422. Same key still running: 409 with Retry-After.
+ *   A claim that is never completed (process died) lapses after IDEMPOTENCY_LEASE_MS.
+ * Keys are scoped per route and per caller (seller, else IP).
+ * Handlers can derive Stripe idempotency keys via req.stripeIdempotencyKey(suffix), but only for
+ * calls whose parameters are the same on every attempt (a failed request's retry reuses the key).
+ */
+function idempotent(scope) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    req.stripeIdempotencyKey = () => undefined;
+    if (!key) return next();
+    if (key.length > 255) return res.status(400).json({ error: 'Idempotency-Key too long' });
+
+    const caller = req.seller?.sellerId || req.ip || 'anon';
+    const keyHash = sha256(`${scope}:${caller}:${key}`);
+    const requestHash = sha256(JSON.stringify(req.body ?? null));
+    const ref = admin.firestore().collection('idempotencyKeys').doc(keyHash);
+
+    let cached = null;
+    let conflict = null;
+    try {
+      await admin.firestore().runTransaction(async (tx) => {
+        cached = null;
+        conflict = null;
+        const snap = await tx.get(ref);
+        const rec = snap.exists ? snap.data() : null;
+        const live = rec && toMillis(rec.expiresAt) > Date.now();
+        const abandoned = live && rec.status !== 'completed' && toMillis(rec.leaseUntil) <= Date.now();
+        if (live && !abandoned) {
+          if (rec.requestHash !== requestHash) conflict = [422, 'Idempotency-Key reused with a different request body'];
+          else if (rec.status !== 'completed') conflict = [409, 'A request with this Idempotency-Key is still in progress'];
+          else cached = rec.response;
+          return;
+        }
+        tx.set(ref, {
+          scope,
+          caller,
+          requestHash,
+          status: 'in_progress',
+          createdAt: new Date().toISOString(),
+          leaseUntil: new Date(Date.now() + IDEMPOTENCY_LEASE_MS).toISOString(),
+          expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_MS)
+        });
+      });
+    } catch (err) {
+      console.error('idempotency lookup err', err);
+      return res.status(500).json({ error: 'idempotency check failed' });
+    }
+
+    if (conflict) {
+      if (conflict[0] === 409) res.set('Retry-After', String(Math.ceil(IDEMPOTENCY_LEASE_MS / 1000)));
+      return res.status(conflict[0]).json({ error: conflict[1] });
+    }
+    if (cached) {
+      res.set('Idempotent-Replayed', 'true');
+      if (cached.contentType) res.type(cached.contentType);
+      return res.status(cached.statusCode).send(cached.body);
+    }
+
+    req.idempotencyKey = key;
+    req.stripeIdempotencyKey = (suffix = '') => `${scope}_${keyHash.slice(0, 32)}${suffix ? `_${suffix}` : ''}`;
+
+    // Capture what the handler sends so it can be replayed
+    let body;
+    const send = res.send.bind(res);
+    res.send = (payload) => {
+      body = payload;
+      return send(payload);
+    };
+
+    res.on('finish', () => {
+      const done = res.statusCode >= 500
+        ? ref.delete() // let the client retry server errors
+        : ref.update({
+            status: 'completed',
+            completedAt: new Date().toISOString(),
+            response: {
+              statusCode: res.statusCode,
+              contentType: res.get('Content-Type') || null,
+              body: Buffer.isBuffer(body) ? body.toString('utf8') : typeof body === 'string' ? body : JSON.stringify(body ?? null)
+            }
+          });
+      done.catch(err => console.error('idempotency store err', err));
+    });
+
+    return next();
+  };
+}
+
+module.exports = { idempotent };
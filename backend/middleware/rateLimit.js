@@ -0,0 +1,49 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Fixed-window limit shared by every instance: one counter doc per (scope, key, window)
+ * in `rateLimits` (set a Firestore TTL policy on `expiresAt` to purge old windows).
+ * - key(req) picks what is counted (IP, email, ...); no key means the request isn't limited.
+ * - Over the limit: 429 with Retry-After until the window rolls over.
+ * If the counter can't be read the request goes through: a limiter outage shouldn't take the route down.
+ */
+function rateLimit({ scope, limit, windowMs, key }) {
+  return async (req, res, next) => {
+    const value = key(req);
+    if (!value) return next();
+
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const ref = admin.firestore().collection('rateLimits').doc(sha256(`${scope}:${value}:${windowStart}`));
+    let limited = false;
+    try {
+      await admin.firestore().runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const count = snap.exists ? snap.data().count || 0 : 0;
+        limited = count >= limit;
+        if (limited) return;
+        tx.set(ref, {
+          scope,
+          count: count + 1,
+          windowStart: new Date(windowStart).toISOString(),
+          expiresAt: new Date(windowStart + windowMs)
+        });
+      });
+    } catch (err) {
+      console.error('rate limit err', scope, err);
+      return next();
+    }
+
+    if (limited) {
+      res.set('Retry-After', String(Math.ceil((windowStart + windowMs - Date.now()) / 1000)));
+      return res.status(429).json({ error: 'Too many requests, try again later' });
+    }
+    return next();
+  };
+}
+
+module.exports = { rateLimit };
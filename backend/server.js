@@ -7,13 +7,21 @@ const { nanoid } = require('nanoid');
 const mustache = require('mustache');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const Stripe = require('stripe');
 const stripe = Stripe(process.env.STRIPE_SECRET_KEY)
 const admin = require('firebase-admin');
-const { formatPrice } = require('./utils/mustacheHelpers');
-
-const { verifyFirebaseToken } = require('./middleware/firebaseAuth');
+const {
+  formatPrice, formatAmount, currencySymbol, normalizeCurrency, isValidCurrency, minorUnitDigits, roundMinorUnits, minimumChargeCents
+} = require('./utils/mustacheHelpers');
+const { resolveFeeSchedule, computeFees } = require('./utils/fees');
+const { createSession, readSession, refreshSession, revokeSession, credentialedOrigins } = require('./utils/sessions');
+const { createScheduler } = require('./utils/scheduler');
+
+const { verifyFirebaseToken, optionalAuth, requireSellerAccess, requireAdmin, generateApiKey } = require('./middleware/firebaseAuth');
+const { idempotent } = require('./middleware/idempotency');
+const { rateLimit } = require('./middleware/rateLimit');
 const privateKey = JSON.parse(process.env.FIREBASE_PRIVATE_KEY).private_key.replace(/\\n/g, '\n');
 
 const { Resend } = require('resend');
@@ -165,42 +173,367 @@ async function addLedgerEntry(sellerId, entry) {
   return doc;
 }
 
-async function creditSellerBalance(sellerId, amount_cents, context = {}) {
+// --- Per-currency balances ---
+// seller.balance.{currency} = { available_cents, held_cents } in that currency's minor units,
+// e.g. balance.usd / balance.jpy. Balances from before multi-currency kept available_cents /
+// held_cents at the top level, with EUR/GBP sales credited into the same number as USD. Those
+// are split by migrateLegacyBalance (on read, and by the splitLegacyBalances job); money paths
+// refuse to write over an unsplit balance rather than guess which currency it is.
+function currencyBalance(balance = {}, currency) {
+  const b = balance?.[normalizeCurrency(currency)] || {};
+  return { available_cents: b.available_cents || 0, held_cents: b.held_cents || 0 };
+}
+
+// { usd: { available_cents, held_cents }, eur: {...} } for every currency the seller holds
+function listBalances(balance = {}) {
+  const out = {};
+  for (const [key, value] of Object.entries(balance || {})) {
+    if (/^[a-z]{3}$/.test(key) && value && typeof value === 'object') out[key] = currencyBalance(balance, key);
+  }
+  return out;
+}
+
+function hasLegacyBalance(balance) {
+  return balance?.available_cents !== undefined || balance?.held_cents !== undefined;
+}
+
+// Value for tx.set(sRef, { balance: ... }, { merge: true }) that updates one currency
+function balancePatch(balance = {}, currency, fields, delta_cents = 0) {
+  if (hasLegacyBalance(balance)) throw new Error('Seller balance predates multi-currency; run migrateLegacyBalance first');
+  const cur = normalizeCurrency(currency);
+  return {
+    [cur]: { ...currencyBalance(balance, cur), ...fields },
+    lastUpdatedAt: new Date().toISOString(),
+    lastDelta_cents: delta_cents,
+    lastCurrency: cur
+  };
+}
+
+// Splits a legacy top-level balance per currency by re-summing the ledger (the source of truth
+// for available_cents). Ledger lines without a currency are USD: adjustments and payouts were
+// USD-only before multi-currency. Held funds come from the open dispute holds, which carry theirs.
+// The old totals are kept on seller.legacyBalance for audit. Returns the seller doc as stored.
+async function migrateLegacyBalance(sellerId) {
+  const sRef = db.collection('sellers').doc(String(sellerId));
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(sRef);
+    if (!snap.exists) throw new Error('Seller not found');
+    const seller = snap.data();
+    if (!hasLegacyBalance(seller.balance)) return seller;
+
+    const [ledgerSnap, holdsSnap] = await Promise.all([
+      tx.get(sRef.collection('ledger').select('amount_cents', 'currency')),
+      tx.get(db.collection('disputes').where('sellerId', '==', String(sellerId)).where('holdStatus', '==', 'held'))
+    ]);
+    const split = {};
+    const bucket = (cur) => {
+      const c = normalizeCurrency(cur);
+      split[c] = split[c] || { available_cents: 0, held_cents: 0 };
+      return split[c];
+    };
+    ledgerSnap.docs.forEach(d => { bucket(d.get('currency')).available_cents += d.get('amount_cents') || 0; });
+    holdsSnap.docs.forEach(d => { bucket(d.get('currency')).held_cents += d.get('hold_cents') || 0; });
+
+    const legacy = {
+      available_cents: seller.balance.available_cents || 0,
+      held_cents: seller.balance.held_cents || 0,
+      migratedAt: new Date().toISOString()
+    };
+    // Currencies credited since the upgrade already sit in balance.{currency}; the ledger has those too
+    const expected = Object.values(listBalances(seller.balance)).reduce((a, b) => a + b.available_cents, legacy.available_cents);
+    const ledgerTotal = Object.values(split).reduce((a, b) => a + b.available_cents, 0);
+    if (ledgerTotal !== expected) {
+      // The ledger wins; /reconcile shows the per-currency result
+      console.error('legacy balance drift', sellerId, { expected, ledger: ledgerTotal });
+      legacy.ledgerTotal_cents = ledgerTotal;
+    }
+
+    const balance = { ...listBalances(seller.balance), ...split };
+    tx.set(sRef, {
+      balance: {
+        ...balance,
+        available_cents: admin.firestore.FieldValue.delete(),
+        held_cents: admin.firestore.FieldValue.delete(),
+        lastUpdatedAt: legacy.migratedAt
+      },
+      legacyBalance: legacy
+    }, { merge: true });
+    return { ...seller, balance: { ...balance, lastUpdatedAt: legacy.migratedAt }, legacyBalance: legacy };
+  });
+}
+
+// Lifetime payouts in one currency (legacy payouts.lifetimePayouts_cents counts as USD)
+function lifetimePayouts(payouts = {}, currency) {
+  const cur = normalizeCurrency(currency);
+  return (payouts?.lifetimeByCurrency?.[cur] || 0) + (cur === 'usd' ? payouts?.lifetimePayouts_cents || 0 : 0);
+}
+
+// Balance and its ledger line are written in one transaction so, per currency, the ledger
+// always sums to balance.{currency}.available_cents (see /api/sellers/:sellerId/reconcile).
+// No clamping: a credit against a negative balance (after a refund) must count in full.
+// claim: { ref, data } is created in the same transaction (e.g. the order doc); if it already
+// exists nothing is credited and null is returned, so a redelivered webhook can't pay twice.
+// writes(tx) adds other writes that must land with the credit.
+async function creditSellerBalance(sellerId, amount_cents, context = {}, { claim = null, writes = null } = {}) {
   const sRef = db.collection('sellers').doc(String(sellerId));
+  const currency = normalizeCurrency(context.currency);
   let newBalance = 0;
   await db.runTransaction(async (tx) => {
+    newBalance = null;
+    if (claim && (await tx.get(claim.ref)).exists) return;
     const snap = await tx.get(sRef);
     if (!snap.exists) throw new Error('Seller not found');
     const data = snap.data() || {};
-    const prev = data.balance?.available_cents || 0;
-    newBalance = Math.max(0, prev + (amount_cents || 0));
+    if (claim) tx.create(claim.ref, claim.data);
+    if (writes) writes(tx);
+    const prev = currencyBalance(data.balance, currency).available_cents;
+    newBalance = prev + (amount_cents || 0);
+    const nowIso = new Date().toISOString();
     tx.set(
       sRef,
-      {
-        balance: {
-          available_cents: newBalance,
-          lastUpdatedAt: new Date().toISOString(),
-          lastDelta_cents: amount_cents || 0
-        }
-      },
+      { balance: balancePatch(data.balance, currency, { available_cents: newBalance }, amount_cents || 0) },
       { merge: true }
     );
-  });
-  await addLedgerEntry(sellerId, {
-    type: 'purchase.completed',
-    amount_cents: amount_cents || 0,
-    ...context
+    const lRef = sRef.collection('ledger').doc();
+    tx.set(lRef, {
+      id: lRef.id,
+      createdAt: nowIso,
+      type: 'purchase.completed',
+      amount_cents: amount_cents || 0,
+      ...context,
+      currency
+    });
   });
   return newBalance;
 }
 
+// Reverse part (or all) of an order's credit. Never clamps: a refund after a payout
+// leaves the seller negative until the next sale covers it.
+// Order, balance and ledger are written in one transaction keyed off the cumulative
+// refunded amount, so webhook redeliveries are no-ops.
+async function applyOrderRefund(orderId, refundedTotal_cents, context = {}) {
+  const orderRef = db.collection('orders').doc(String(orderId));
+  let result = null;
+  await db.runTransaction(async (tx) => {
+    result = null;
+    const oSnap = await tx.get(orderRef);
+    if (!oSnap.exists) return;
+    const order = oSnap.data();
+    const gross = order.amount_total_cents || 0;
+    const already = order.refunded_cents || 0;
+    const total = Math.min(gross, refundedTotal_cents || 0);
+    const delta = total - already;
+    if (delta <= 0) return;
+
+    const sRef = db.collection('sellers').doc(String(order.sellerId));
+    const sSnap = await tx.get(sRef);
+    if (!sSnap.exists) throw new Error('Seller not found');
+
+    // Seller gives back the same share of their net that the buyer gets back of the gross
+    // Direct-settlement orders never hit the internal balance; Stripe reverses the transfer instead
+    const netBefore = gross ? Math.round(((order.net_cents || 0) * already) / gross) : 0;
+    const netAfter = gross ? Math.round(((order.net_cents || 0) * total) / gross) : 0;
+    const debit = isDirectSettlement(order.settlementMode) ? 0 : netAfter - netBefore;
+    const currency = normalizeCurrency(order.currency);
+    const prev = currencyBalance(sSnap.data().balance, currency).available_cents;
+    const nowIso = new Date().toISOString();
+
+    tx.set(orderRef, {
+      refunded_cents: total,
+      status: total >= gross ? 'refunded' : 'partially_refunded',
+      refundedAt: nowIso
+    }, { merge: true });
+    tx.set(sRef, {
+      balance: balancePatch(sSnap.data().balance, currency, { available_cents: prev - debit }, -debit)
+    }, { merge: true });
+
+    const lRef = sRef.collection('ledger').doc();
+    tx.set(lRef, {
+      id: lRef.id,
+      createdAt: nowIso,
+      type: 'refund.issued',
+      orderId: String(orderId),
+      productId: order.productId || null,
+      linkId: order.linkId || null,
+      amount_cents: -debit,
+      gross_cents: -delta,
+      fee_cents: isDirectSettlement(order.settlementMode) ? 0 : -(delta - debit),
+      settlementMode: order.settlementMode || 'platform',
+      currency,
+      notes: total >= gross ? 'Order fully refunded' : 'Order partially refunded',
+      ...context
+    });
+    result = { orderId: String(orderId), sellerId: order.sellerId, refunded_cents: total, delta_cents: delta, debit_cents: debit, balance_cents: prev - debit, currency };
+  });
+  return result;
+}
+
+// --- Dispute holds ---
+// A dispute moves the seller's net share of the disputed amount from available_cents to
+// held_cents (in the order's currency). Closing it either releases the hold (won) or drops it (lost; the money went
+// back to the cardholder). Ledger amounts track available_cents only.
+function disputeOrderId(dispute) {
+  return String(dispute.payment_intent || dispute.charge || '');
+}
+
+async function openDisputeHold(dispute) {
+  const orderId = disputeOrderId(dispute);
+  const orderRef = db.collection('orders').doc(orderId);
+  const dRef = db.collection('disputes').doc(String(dispute.id));
+  return db.runTransaction(async (tx) => {
+    const [dSnap, oSnap] = await Promise.all([tx.get(dRef), tx.get(orderRef)]);
+    if (dSnap.exists) return null; // redelivery
+    if (!oSnap.exists) return null;
+    const order = oSnap.data();
+    const sRef = db.collection('sellers').doc(String(order.sellerId));
+    const sSnap = await tx.get(sRef);
+    if (!sSnap.exists) throw new Error('Seller not found');
+
+    const gross = order.amount_total_cents || 0;
+    // Direct-settlement funds aren't in the internal balance, so there is nothing to hold there
+    const hold = (!gross || isDirectSettlement(order.settlementMode))
+      ? 0
+      : Math.min(order.net_cents || 0, Math.round(((order.net_cents || 0) * (dispute.amount || 0)) / gross));
+    const currency = normalizeCurrency(order.currency || dispute.currency);
+    const bal = currencyBalance(sSnap.data().balance, currency);
+    const nowIso = new Date().toISOString();
+
+    tx.set(dRef, {
+      disputeId: dispute.id,
+      orderId,
+      sellerId: order.sellerId,
+      chargeId: dispute.charge || null,
+      productId: order.productId || null,
+      linkId: order.linkId || null,
+      amount_cents: dispute.amount || 0,
+      hold_cents: hold,
+      currency,
+      reason: dispute.reason || null,
+      status: dispute.status || 'needs_response',
+      holdStatus: 'held',
+      evidenceDueBy: dispute.evidence_details?.due_by ? new Date(dispute.evidence_details.due_by * 1000).toISOString() : null,
+      createdAt: nowIso,
+      updatedAt: nowIso
+    });
+    tx.set(orderRef, { disputeId: dispute.id, disputeStatus: dispute.status || 'needs_response' }, { merge: true });
+    tx.set(sRef, {
+      balance: balancePatch(sSnap.data().balance, currency, {
+        available_cents: bal.available_cents - hold,
+        held_cents: bal.held_cents + hold
+      }, -hold)
+    }, { merge: true });
+    const lRef = sRef.collection('ledger').doc();
+    tx.set(lRef, {
+      id: lRef.id,
+      createdAt: nowIso,
+      type: 'dispute.hold',
+      orderId,
+      disputeId: dispute.id,
+      amount_cents: -hold,
+      currency,
+      notes: `Chargeback opened (${dispute.reason || 'unknown reason'}); funds on hold`
+    });
+    return { disputeId: dispute.id, hold_cents: hold };
+  });
+}
+
+async function closeDisputeHold(dispute) {
+  const dRef = db.collection('disputes').doc(String(dispute.id));
+  return db.runTransaction(async (tx) => {
+    const dSnap = await tx.get(dRef);
+    if (!dSnap.exists) return null;
+    const d = dSnap.data();
+    if (d.holdStatus !== 'held') return null; // already settled
+    const sRef = db.collection('sellers').doc(String(d.sellerId));
+    const sSnap = await tx.get(sRef);
+    if (!sSnap.exists) throw new Error('Seller not found');
+
+    const won = dispute.status === 'won' || dispute.status === 'warning_closed';
+    const hold = d.hold_cents || 0;
+    const currency = normalizeCurrency(d.currency);
+    const bal = currencyBalance(sSnap.data().balance, currency);
+    const nowIso = new Date().toISOString();
+    const release = won ? hold : 0;
+
+    tx.set(dRef, { status: dispute.status, holdStatus: won ? 'released' : 'debited', closedAt: nowIso, updatedAt: nowIso }, { merge: true });
+    tx.set(db.collection('orders').doc(d.orderId), { disputeStatus: dispute.status }, { merge: true });
+    tx.set(sRef, {
+      balance: balancePatch(sSnap.data().balance, currency, {
+        available_cents: bal.available_cents + release,
+        held_cents: Math.max(0, bal.held_cents - hold)
+      }, release)
+    }, { merge: true });
+    const lRef = sRef.collection('ledger').doc();
+    tx.set(lRef, {
+      id: lRef.id,
+      createdAt: nowIso,
+      type: won ? 'dispute.released' : 'dispute.lost',
+      orderId: d.orderId,
+      disputeId: d.disputeId,
+      amount_cents: release,
+      held_cents: -hold,
+      currency,
+      notes: won ? 'Chargeback won; hold released' : 'Chargeback lost; held funds returned to cardholder'
+    });
+    return { disputeId: d.disputeId, outcome: won ? 'released' : 'debited' };
+  });
+}
+
+async function getOpenDisputes(sellerId) {
+  const snap = await db.collection('disputes')
+    .where('sellerId', '==', String(sellerId))
+    .where('holdStatus', '==', 'held')
+    .limit(50)
+    .get();
+  return snap.docs.map(d => d.data());
+}
+
+// --- Settlement modes ---
+// 'platform' (default): funds land in the platform account, we credit the internal balance
+//   and the seller pulls it out via /api/payouts/request.
+// 'destination': destination charge (transfer_data.destination + application_fee_amount);
+//   funds settle straight to the Express account, so the internal balance is NOT credited.
+// 'destination_obo': as 'destination', plus on_behalf_of (seller is merchant of record).
+const SETTLEMENT_MODES = ['platform', 'destination', 'destination_obo'];
+
+function sellerSettlementMode(seller) {
+  return SETTLEMENT_MODES.includes(seller?.settlementMode) ? seller.settlementMode : 'platform';
+}
+
+function isDirectSettlement(mode) {
+  return mode === 'destination' || mode === 'destination_obo';
+}
+
+// After a checkout's order exists: close an auction offer, commit its holds, queue delivery.
+// Each step is idempotent, so redeliveries of checkout.session.completed just re-run them.
+async function completeCheckoutFollowUps(session, orderId, linkId = session.metadata?.linkId) {
+  const meta = session.metadata || {};
+  if (linkId && !(await markAuctionOfferPaid(linkId, orderId))) {
+    // Paid for an auction offer that has since lapsed: refund instead of delivering
+    await settleInventoryReservation(meta.reservationId, 'released');
+    await settleCouponRedemption(meta.couponRedemptionId, 'released');
+    const order = (await db.collection('orders').doc(orderId).get()).data();
+    if (!order.offerRejected) await refundRejectedOfferPayment(linkId, order);
+    return;
+  }
+  // Paid: turn the checkout hold into a real stock decrement (no-op if already settled)
+  await settleInventoryReservation(meta.reservationId, 'committed');
+  await settleCouponRedemption(meta.couponRedemptionId, 'redeemed', { orderId });
+  // Digital delivery runs out-of-band so Stripe gets a fast 2xx and failures retry
+  await enqueueFulfillment(orderId, session);
+}
+
 const app = express();
+// Behind a load balancer (Heroku etc.) set TRUST_PROXY=1 so req.ip is the client, not the router;
+// per-IP rate limits and idempotency scoping depend on it
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
 
 // Serve static files from the React frontend app
 app.use(express.static(path.join(__dirname, '../frontend/build')));
 
 // Place these near the VERY TOP, right after you create `app` and before any route definitions.
-app.use(express.json());
+// /webhook is skipped: Stripe signature verification needs the raw body.
+app.use((req, res, next) => (req.originalUrl === '/webhook' ? next() : express.json()(req, res, next)));
 app.use(express.urlencoded({ extended: true }));
 
 // Helper alias if some places still call addLedger()
@@ -214,8 +547,19 @@ app.post('/webhook', bodyParser.raw({ type: 'application/json' }), async (req, r
   let event;
 
   try {
-    if (process.env.STRIPE_WEBHOOK_SECRET) {
-      event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+    // Platform events and Connect (connected-account) events may be signed with different secrets
+    const secrets = [process.env.STRIPE_WEBHOOK_SECRET, process.env.STRIPE_CONNECT_WEBHOOK_SECRET].filter(Boolean);
+    if (secrets.length) {
+      let lastErr;
+      for (const secret of secrets) {
+        try {
+          event = stripe.webhooks.constructEvent(req.body, sig, secret);
+          break;
+        } catch (e) {
+          lastErr = e;
+        }
+      }
+      if (!event) throw lastErr;
     } else {
       event = JSON.parse(req.body.toString());
     }
@@ -229,16 +573,27 @@ app.post('/webhook', bodyParser.raw({ type: 'application/json' }), async (req, r
       case 'checkout.session.completed': {
         const session = event.data.object;
 
-        // Idempotency: ensure we don’t double-credit
+        // Subscriptions: money arrives per invoice (invoice.paid); just register the subscriber
+        if (session.mode === 'subscription') {
+          await recordSubscriptionCheckout(session);
+          break;
+        }
+
+        // Idempotency: the order doc is claimed in the same transaction that credits the seller,
+        // so a redelivered or concurrent event can't credit twice (this read is just a cheap exit)
         const paymentKey = String(session.payment_intent || session.id);
         const orderRef = db.collection('orders').doc(paymentKey);
-        const existing = await orderRef.get();
-        if (existing.exists && existing.data()?.status === 'credited') {
-          break; // already processed
+        if ((await orderRef.get()).exists) {
+          // already processed; make sure the follow-ups ran (each is a no-op if it did)
+          await completeCheckoutFollowUps(session, paymentKey);
+          break;
         }
 
         // Resolve seller/product metadata
         const meta = session.metadata || {};
+        const coupon = couponFromMeta(meta);
+        const quantity = Number(meta.quantity) || 1;
+        const pricing = pricingFromMeta(meta);
         let { sellerId, productId, linkId } = meta;
 
         // Fallback: fetch PaymentIntent metadata if needed
@@ -259,22 +614,34 @@ app.post('/webhook', bodyParser.raw({ type: 'application/json' }), async (req, r
         }
 
         const amountTotal = session.amount_total || 0;
-        const bps = Number(process.env.PLATFORM_FEE_BPS || 0); // e.g. 250 = 2.50%
-        const fee_cents = Math.round((amountTotal * bps) / 10000);
-        const net_cents = Math.max(0, amountTotal - fee_cents);
 
-        // Credit seller’s balance and write ledger
-        await creditSellerBalance(sellerId, net_cents, {
+        // Fees come from the checkout metadata (what the application fee used) and are persisted;
+        // payouts and dashboards read them back instead of recomputing.
+        const sellerSnap = await db.collection('sellers').doc(String(sellerId)).get();
+        const feeSchedule = resolveFeeSchedule(sellerSnap.exists ? sellerSnap.data() : null);
+        const fees = feesFromMeta(meta, amountTotal, session.currency, feeSchedule);
+        const { fee_cents, net_cents } = fees;
+        const settlementMode = meta.settlementMode || 'platform';
+        const ledgerContext = {
           productId,
           linkId,
           sessionId: session.id,
+          orderId: paymentKey,
           fee_cents,
+          platformFee_cents: fees.platformFee_cents,
+          processingFee_cents: fees.processingFee_cents,
           gross_cents: amountTotal,
-          currency: session.currency
-        });
+          currency: session.currency,
+          settlementMode,
+          quantity,
+          ...(meta.items ? { items: decodeLineItems(meta.items) } : {}),
+          pricingMode: pricing.mode,
+          ...(pricing.chosenPrice_cents != null ? { chosenPrice_cents: pricing.chosenPrice_cents } : {}),
+          ...(pricing.tip_cents ? { tip_cents: pricing.tip_cents } : {}),
+          ...(coupon ? { couponCode: coupon.code, discount_cents: coupon.discount_cents } : {})
+        };
 
-        // Mark order as credited
-        await orderRef.set({
+        const orderDoc = {
           orderId: paymentKey,
           sessionId: session.id,
           sellerId,
@@ -283,10 +650,46 @@ app.post('/webhook', bodyParser.raw({ type: 'application/json' }), async (req, r
           amount_total_cents: amountTotal,
           fee_cents,
           net_cents,
+          fees,
+          feeSchedule,
+          settlementMode,
           currency: session.currency,
-          status: 'credited',
+          quantity,
+          // Every product in the order (bundles list several)
+          items: decodeLineItems(meta.items) || [{ productId: productId || null, quantity }],
+          // What the buyer chose to pay: their own price (pwyw) and/or a tip
+          pricing,
+          coupon,
+          status: isDirectSettlement(settlementMode) ? 'settled_direct' : 'credited',
+          fulfillmentStatus: 'pending',
+          fulfilledAt: null,
           createdAt: new Date().toISOString()
-        });
+        };
+
+        if (isDirectSettlement(settlementMode)) {
+          // Stripe already moved the net to the connected account; record it without
+          // touching the internal balance (crediting here would pay the seller twice).
+          await db.runTransaction(async (tx) => {
+            if ((await tx.get(orderRef)).exists) return;
+            tx.create(orderRef, orderDoc);
+            const lRef = db.collection('sellers').doc(String(sellerId)).collection('ledger').doc();
+            tx.set(lRef, {
+              id: lRef.id,
+              createdAt: new Date().toISOString(),
+              type: 'purchase.completed',
+              amount_cents: 0,
+              settledDirect_cents: net_cents,
+              notes: 'Settled directly to connected account',
+              ...ledgerContext
+            });
+          });
+        } else {
+          // Credit seller’s balance, write ledger and mark the order credited in one transaction
+          await creditSellerBalance(sellerId, net_cents, ledgerContext, { claim: { ref: orderRef, data: orderDoc } });
+        }
+
+        // Whichever delivery claimed the order, it exists now
+        await completeCheckoutFollowUps(session, paymentKey, linkId);
 
         // NOTE: Removed immediate stripe.transfers.create here.
         // Payouts are now requested by the seller from their dashboard.
@@ -294,6 +697,80 @@ app.post('/webhook', bodyParser.raw({ type: 'application/json' }), async (req, r
         break;
       }
 
+      case 'charge.refunded': {
+        const charge = event.data.object;
+        const orderId = String(charge.payment_intent || '');
+        if (!orderId) break;
+        const applied = await applyOrderRefund(orderId, charge.amount_refunded, { chargeId: charge.id });
+        if (!applied) console.warn('charge.refunded: no order or nothing new to refund for', orderId);
+        break;
+      }
+
+      case 'charge.dispute.created': {
+        const dispute = event.data.object;
+        const opened = await openDisputeHold(dispute);
+        if (!opened) console.warn('charge.dispute.created: no order or already tracked', dispute.id);
+        break;
+      }
+
+      case 'charge.dispute.updated': {
+        const dispute = event.data.object;
+        const dRef = db.collection('disputes').doc(String(dispute.id));
+        const dSnap = await dRef.get();
+        if (dSnap.exists) {
+          await dRef.set({ status: dispute.status, updatedAt: new Date().toISOString() }, { merge: true });
+        }
+        break;
+      }
+
+      case 'charge.dispute.closed': {
+        const dispute = event.data.object;
+        // Make sure the hold exists (created event may have been missed) before closing it
+        await openDisputeHold(dispute);
+        await closeDisputeHold(dispute);
+        break;
+      }
+
+      case 'transfer.reversed': {
+        const transfer = event.data.object;
+        const restored = await applyTransferReversal(transfer);
+        if (!restored) console.warn('transfer.reversed: no payout record or nothing new to restore', transfer.id);
+        break;
+      }
+
+      case 'transfer.updated': {
+        const transfer = event.data.object;
+        if (transfer.amount_reversed > 0) await applyTransferReversal(transfer);
+        break;
+      }
+
+      case 'payout.paid':
+      case 'payout.failed': {
+        // Connect event: the connected account's payout to its bank
+        if (event.account) await recordBankPayout(event.account, event.data.object);
+        break;
+      }
+
+      case 'invoice.paid': {
+        const invoice = event.data.object;
+        const applied = await applySubscriptionInvoice(invoice);
+        if (!applied) console.warn('invoice.paid: not a platform subscription or already applied', invoice.id);
+        break;
+      }
+
+      case 'customer.subscription.updated':
+      case 'customer.subscription.deleted': {
+        await updateSubscriptionStatus(event.data.object);
+        break;
+      }
+
+      case 'checkout.session.expired': {
+        const session = event.data.object;
+        await settleInventoryReservation(session.metadata?.reservationId, 'released');
+        await settleCouponRedemption(session.metadata?.couponRedemptionId, 'released');
+        break;
+      }
+
       default:
         // no-op
     }
@@ -305,22 +782,29 @@ app.post('/webhook', bodyParser.raw({ type: 'application/json' }), async (req, r
 });
 
 // DASHBOARD: remove query-string based payout status (no toast from URL)
-app.get('/dashboard/:sellerId', async (req, res) => {
+app.get('/dashboard/:sellerId', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
   try {
     const { sellerId } = req.params;
     const sRef = db.collection('sellers').doc(String(sellerId));
     const sSnap = await sRef.get();
     if (!sSnap.exists) return res.status(404).send('<h1>Seller not found</h1>');
-    const seller = sSnap.data();
+    let seller = sSnap.data();
     if (!seller.emailVerified) return res.status(404).send('<h1>Seller not verified</h1>');
+    if (hasLegacyBalance(seller.balance)) seller = await migrateLegacyBalance(sellerId);
 
     const productsCntSnap = await db.collection('products').where('sellerId', '==', sellerId).count().get();
     const linksCntSnap = await db.collection('links').where('sellerId', '==', sellerId).count().get();
-    const balanceGross = seller?.balance?.available_cents || 0;
-    const net = calcNetAfterAllFees(balanceGross);
+    // Balance is already net of fees (deducted when each order was recorded).
+    // The headline (and the payout button) is the payout currency; other currencies are listed below it.
+    const payoutCurrency = normalizeCurrency(seller.defaultCurrency);
+    const { available_cents: available, held_cents: held } = currencyBalance(seller.balance, payoutCurrency);
+    const otherBalances = Object.entries(listBalances(seller.balance))
+      .filter(([cur, b]) => cur !== payoutCurrency && (b.available_cents || b.held_cents))
+      .map(([cur, b]) => ({ currency: cur.toUpperCase(), availableFormatted: fmtMoney(b.available_cents, cur), heldFormatted: fmtMoney(b.held_cents, cur) }));
 
     const ledgerSnap = await sRef.collection('ledger').orderBy('createdAt', 'desc').limit(200).get();
     const ledger = ledgerSnap.docs.map(d => d.data());
+    const openDisputes = await getOpenDisputes(sellerId);
 
     const days = 30;
     const end = new Date();
@@ -365,13 +849,27 @@ app.get('/dashboard/:sellerId', async (req, res) => {
         links: linksCntSnap.data().count || 0
       },
       balance: {
-        grossFormatted: fmtUSD(balanceGross),
-        netFormatted: fmtUSD(net),
-        disablePayout: balanceGross <= 0
+        currency: payoutCurrency.toUpperCase(),
+        availableFormatted: fmtMoney(available, payoutCurrency),
+        zeroFormatted: fmtMoney(0, payoutCurrency),
+        heldFormatted: fmtMoney(held, payoutCurrency),
+        hasHeld: held > 0,
+        disablePayout: available <= 0,
+        others: otherBalances,
+        hasOthers: otherBalances.length > 0
       },
+      disputes: openDisputes.map(d => ({
+        orderId: d.orderId,
+        reason: String(d.reason || 'unknown').replace(/_/g, ' '),
+        status: String(d.status || '').replace(/_/g, ' '),
+        amountFormatted: fmtMoney(d.amount_cents, d.currency),
+        heldFormatted: fmtMoney(d.hold_cents, d.currency),
+        createdAtFormatted: d.createdAt ? fmtDate(d.createdAt) : '',
+        evidenceDueBy: d.evidenceDueBy ? fmtDate(d.evidenceDueBy) : null
+      })),
       payouts: {
         lastPayoutAt: seller?.payouts?.lastPayoutAt ? fmtDate(seller.payouts.lastPayoutAt) : null,
-        lifetimeFormatted: fmtUSD(seller?.payouts?.lifetimePayouts_cents || 0)
+        lifetimeFormatted: fmtMoney(lifetimePayouts(seller?.payouts, payoutCurrency), payoutCurrency)
       },
       totals: {
         purchases: series.reduce((a,b)=>a+b.purchases,0),
@@ -392,7 +890,7 @@ app.get('/dashboard/:sellerId', async (req, res) => {
         typeDisplay: String(e.type || '').replace('.', ' · '),
         createdAtFormatted: e.createdAt ? fmtDate(e.createdAt) : '',
         notes: e.notes || null,
-        amountFormatted: e.amount_cents ? fmtUSD(e.amount_cents) : ''
+        amountFormatted: e.amount_cents ? fmtMoney(e.amount_cents, e.currency) : ''
       }))
       // Removed toastMessage / toastErrorMessage (controlled client-side now)
     });
@@ -483,6 +981,8 @@ app.get('/onboard/success', async (req, res) => {
         stripeDetailsSubmitted: !!acct.details_submitted,
         chargesEnabled: !!acct.charges_enabled,
         payoutsEnabled: !!acct.payouts_enabled,
+        // Payouts default to the account's settlement currency until the seller picks one
+        ...(!seller.defaultCurrency && acct.default_currency ? { defaultCurrency: acct.default_currency } : {}),
         stripeLastSyncedAt: new Date().toISOString()
       }, { merge: true });
     } catch (_) {}
@@ -496,8 +996,18 @@ app.get('/onboard/success', async (req, res) => {
 });
 
 
-// Enable CORS and JSON parsing for all other routes
-app.use(cors());
+// Enable CORS and JSON parsing for all other routes.
+// Only trusted frontends get credentialed (session cookie) CORS; everyone else stays bearer-only.
+// (the session cookie goes SameSite=None when one of them is on another host; see utils/sessions)
+const corsOrigins = credentialedOrigins;
+app.use(cors((req, cb) => {
+  const origin = req.header('Origin');
+  // Retry-After marks an Idempotency-Key that is still in flight (see middleware/idempotency)
+  if (origin && corsOrigins.includes(origin)) {
+    return cb(null, { origin, credentials: true, exposedHeaders: ['Retry-After', 'Idempotent-Replayed'] });
+  }
+  return cb(null, { origin: '*' });
+}));
 app.use(bodyParser.json());
 
 // Ensure body parsers are registered before routes
@@ -564,7 +1074,7 @@ app.post('/api/sellers/request-magic-link', async (req, res) => {
   }
 });
 
-// Verify magic token, mark seller verified, then redirect to frontend
+// Verify magic token, mark seller verified, start a session, then redirect to frontend
 app.get('/api/auth/magic/verify', async (req, res) => {
   try {
     const { token } = req.query;
@@ -575,6 +1085,7 @@ app.get('/api/auth/magic/verify', async (req, res) => {
     if (!tSnap.exists) return res.status(400).send('Invalid token');
 
     const t = tSnap.data();
+    if (t.purpose === 'bidder') return res.status(400).send('Invalid token');
     if (t.used) return res.status(400).send('Token already used');
     if (new Date(t.expiresAt).getTime() < Date.now()) return res.status(400).send('Token expired');
 
@@ -584,7 +1095,9 @@ app.get('/api/auth/magic/verify', async (req, res) => {
       { merge: true }
     );
 
-    const redirectTo = `${baseUrl()}/verified.html?verified=1&email=${encodeURIComponent(t.email)}`;
+    await createSession(res, { sellerId: t.sellerId, email: t.email, req });
+
+    const redirectTo = `${baseUrl()}/verified.html?verified=1`;
     return res.redirect(302, redirectTo);
   } catch (err) {
     console.error('magic verify err', err);
@@ -592,11 +1105,66 @@ app.get('/api/auth/magic/verify', async (req, res) => {
   }
 });
 
-// Resolve seller by email (de-duplicate: reuse existing sellerId)
-app.get('/api/sellers/resolve', async (req, res) => {
+/**
+ * Current session (used by the React app instead of passing email/sellerId around)
+ * GET /api/auth/session
+ */
+app.get('/api/auth/session', async (req, res) => {
   try {
-    const email = getEmailFromReq(req);
-    if (!email) return res.status(400).json({ error: 'email required' });
+    const session = await readSession(req);
+    if (!session) return res.status(401).json({ error: 'no session' });
+    const sSnap = await db.collection('sellers').doc(String(session.sellerId)).get();
+    if (!sSnap.exists) return res.status(401).json({ error: 'no session' });
+    const s = sSnap.data();
+    return res.json({
+      seller: { sellerId: s.sellerId || sSnap.id, email: s.email, emailVerified: !!s.emailVerified },
+      expiresAt: session.expiresAt
+    });
+  } catch (err) {
+    console.error('session err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Extend the session TTL (up to its absolute lifetime). Works on an expired-but-not-revoked session.
+ * POST /api/auth/session/refresh
+ */
+app.post('/api/auth/session/refresh', async (req, res) => {
+  try {
+    const session = await readSession(req, { allowExpired: true });
+    if (!session) return res.status(401).json({ error: 'no session' });
+    const { expiresAt } = await refreshSession(res, session, req);
+    return res.json({ ok: true, expiresAt });
+  } catch (err) {
+    console.error('session refresh err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Revoke the current session and clear the cookie
+ * POST /api/auth/logout
+ */
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const session = await readSession(req, { allowExpired: true });
+    await revokeSession(res, session, req);
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('logout err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Resolve the caller's seller by email (de-duplicate: reuse existing sellerId).
+// Signed-in only, and only for the caller's own email, so it can't be used to look up sellerIds.
+app.get('/api/sellers/resolve', verifyFirebaseToken, async (req, res) => {
+  try {
+    const callerEmail = String(req.auth?.email || req.seller?.email || '').toLowerCase();
+    if (!callerEmail) return res.status(403).json({ error: 'signed-in email required' });
+    const email = getEmailFromReq(req) || callerEmail;
+    if (email !== callerEmail) return res.status(403).json({ error: 'can only resolve your own email' });
     const seller = await findSellerByEmail(email);
     if (!seller) return res.json({ seller: null });
     return res.json({
@@ -612,33 +1180,126 @@ app.get('/api/sellers/resolve', async (req, res) => {
   }
 });
 
-// Guard helpers
-async function requireVerifiedSellerById(sellerId) {
-  const snap = await db.collection('sellers').doc(String(sellerId)).get();
-  if (!snap.exists) return { ok: false, code: 'NOT_FOUND' };
-  const s = snap.data();
-  if (!s.emailVerified) return { ok: false, code: 'EMAIL_NOT_VERIFIED', seller: s };
-  return { ok: true, seller: s };
-}
+/**
+ * Choose how a seller's sales settle (see SETTLEMENT_MODES)
+ * POST /api/sellers/:sellerId/settlement
+ * body: { mode: 'platform' | 'destination' | 'destination_obo' }
+ */
+app.post('/api/sellers/:sellerId/settlement', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
+  try {
+    const { mode } = req.body || {};
+    if (!SETTLEMENT_MODES.includes(mode)) return res.status(400).json({ error: `mode must be one of ${SETTLEMENT_MODES.join(', ')}` });
+
+    if (isDirectSettlement(mode)) {
+      if (!req.seller.stripeAccountId) return res.status(400).json({ error: 'seller missing Stripe account' });
+      const acct = await stripe.accounts.retrieve(req.seller.stripeAccountId);
+      const needed = mode === 'destination_obo' ? ['transfers', 'card_payments'] : ['transfers'];
+      const inactive = needed.filter(c => acct.capabilities?.[c] !== 'active');
+      if (inactive.length) {
+        return res.status(400).json({ error: 'Complete Stripe onboarding to enable direct settlement', inactiveCapabilities: inactive });
+      }
+    }
+
+    await db.collection('sellers').doc(String(req.seller.sellerId)).set({
+      settlementMode: mode,
+      settlementModeUpdatedAt: new Date().toISOString()
+    }, { merge: true });
+    return res.json({ ok: true, settlementMode: mode });
+  } catch (err) {
+    console.error('settlement mode err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Set the currency payouts (manual default and automatic) are made in
+ * POST /api/sellers/:sellerId/currency
+ * body: { defaultCurrency: 'usd' | 'eur' | ... }
+ */
+app.post('/api/sellers/:sellerId/currency', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
+  try {
+    if (!isValidCurrency(req.body?.defaultCurrency)) return res.status(400).json({ error: 'defaultCurrency must be a 3-letter ISO 4217 code' });
+    const defaultCurrency = normalizeCurrency(req.body.defaultCurrency);
+    await db.collection('sellers').doc(String(req.seller.sellerId)).set({
+      defaultCurrency,
+      defaultCurrencyUpdatedAt: new Date().toISOString()
+    }, { merge: true });
+    return res.json({ ok: true, defaultCurrency });
+  } catch (err) {
+    console.error('default currency err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-async function resolveVerifiedSellerFromEmailOrId({ email, sellerId }) {
-  if (sellerId) return requireVerifiedSellerById(sellerId);
-  if (email) {
-    const s = await findSellerByEmail(email);
-    if (!s) return { ok: false, code: 'NOT_FOUND' };
-    if (!s.emailVerified) return { ok: false, code: 'EMAIL_NOT_VERIFIED', seller: s };
-    return { ok: true, seller: s };
+/**
+ * Issue (or rotate) the seller's API key. The raw key is only returned here;
+ * we store its sha256 hash on the seller doc.
+ * POST /api/sellers/:sellerId/api-key
+ */
+app.post('/api/sellers/:sellerId/api-key', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
+  try {
+    const { rawKey, hash, prefix } = generateApiKey();
+    await db.collection('sellers').doc(String(req.seller.sellerId)).set({
+      apiKeyHash: hash,
+      apiKeyPrefix: prefix,
+      apiKeyCreatedAt: new Date().toISOString()
+    }, { merge: true });
+    return res.json({ apiKey: rawKey, prefix });
+  } catch (err) {
+    console.error('api key err', err);
+    res.status(500).json({ error: err.message });
   }
-  return { ok: false, code: 'MISSING_SELLER' };
+});
+
+// Guard helper: the authenticated seller (req.seller) must have a verified email
+function requireVerifiedSeller(seller) {
+  if (!seller) return { ok: false, code: 'NOT_FOUND' };
+  if (!seller.emailVerified) return { ok: false, code: 'EMAIL_NOT_VERIFIED', seller };
+  return { ok: true, seller };
+}
+
+// Seller-owned products: unassigned products may be claimed, others only by their owner
+function sellerOwnsProduct(seller, product) {
+  return !product.sellerId || String(product.sellerId) === String(seller?.sellerId);
+}
+
+// --- Download links ---
+// Buyers get /d/:downloadToken instead of an attachment. Tokens are random, tied to the
+// order, expire after DOWNLOAD_LINK_TTL_HOURS and allow DOWNLOAD_MAX_COUNT downloads.
+const DOWNLOAD_LINK_TTL_HOURS = Number(process.env.DOWNLOAD_LINK_TTL_HOURS || 72);
+const DOWNLOAD_MAX_COUNT = Number(process.env.DOWNLOAD_MAX_COUNT || 5);
+
+async function createDownloadToken({ orderId, sellerId, productId, linkId, buyerEmail, digital }) {
+  const token = nanoid(40);
+  const doc = {
+    token,
+    orderId: orderId || null,
+    sellerId,
+    productId,
+    linkId: linkId || null,
+    buyerEmail,
+    storagePath: digital.storagePath || null,
+    contentUrl: digital.contentUrl || null,
+    fileName: digital.fileName || 'download',
+    contentType: digital.contentType || 'application/octet-stream',
+    fileSize: digital.fileSize || null,
+    maxDownloads: DOWNLOAD_MAX_COUNT,
+    downloadCount: 0,
+    expiresAt: new Date(Date.now() + DOWNLOAD_LINK_TTL_HOURS * 3600 * 1000).toISOString(),
+    createdAt: new Date().toISOString()
+  };
+  await db.collection('downloadTokens').doc(token).set(doc);
+  return { ...doc, url: `${baseUrl()}/d/${token}` };
 }
 
 /**
  * Auto-fulfill digital orders:
- * - Attaches digital file (from product or link snapshot) and emails buyer with product image.
+ * - Emails the buyer an expiring download link (see /d/:downloadToken) with product image.
  * - After buyer email is sent successfully, emails seller that the order was auto-fulfilled.
- * Returns true if fulfillment email sent to buyer; otherwise false.
+ * Returns true if fulfillment email sent to buyer; false if there is nothing to deliver.
+ * Throws on delivery errors so the fulfillment worker can retry.
  */
-async function autoFulfillDigitalOrder(session) {
+async function autoFulfillDigitalOrder(session, { orderId } = {}) {
   try {
     const linkId = session.metadata?.linkId;
     const productId = session.metadata?.productId;
@@ -668,44 +1329,24 @@ async function autoFulfillDigitalOrder(session) {
     const buyerEmail = session.customer_details?.email || session.customer_email || null;
     if (!buyerEmail) return false;
 
-    // Prepare attachment from storagePath or contentUrl
-    let attachment = null;
-
-    if (digital.storagePath) {
-      const fileRef = bucket.file(digital.storagePath);
-      const [buffer] = await fileRef.download();
-      const base64 = Buffer.from(buffer).toString('base64'); // Resend expects base64
-      attachment = {
-        filename: digital.fileName || 'download',
-        content: base64,
-        contentType: digital.contentType || 'application/octet-stream'
-      };
-    } else if (digital.contentUrl) {
-      // Explicit fetch with Node 18+ or dynamic import fallback
-      const doFetch = global.fetch ? global.fetch.bind(global) : (await import('node-fetch')).default;
-      const resp = await doFetch(digital.contentUrl);
-      if (resp.ok) {
-        const ab = await resp.arrayBuffer();
-        const buffer = Buffer.from(ab);
-        const base64 = buffer.toString('base64'); // Resend expects base64
-        attachment = {
-          filename: digital.fileName || 'download',
-          content: base64,
-          contentType: digital.contentType || resp.headers.get('content-type') || 'application/octet-stream'
-        };
-      } else {
-        console.warn('Failed to fetch contentUrl for attachment:', digital.contentUrl, resp.status);
-      }
-    }
+    const download = await createDownloadToken({
+      orderId: orderId || String(session.payment_intent || session.id),
+      sellerId,
+      productId,
+      linkId,
+      buyerEmail,
+      digital
+    });
 
     const buyerHtml = generateEmailTemplate({
       appName: 'InstaPay',
       title: 'Your download is ready',
-      message: `Thanks for your purchase of <strong>${product.title}</strong>. Your file is attached.`,
+      message: `Thanks for your purchase of <strong>${product.title}</strong>. Your file is ready to download.`,
       details: `
         ${product.image_url ? `<img src="${product.image_url}" alt="${product.title}" style="max-width:100%; border-radius:8px; margin-bottom:12px;" />` : ''}
-        <div>Order total: ${formatPrice(session.amount_total, product.currency || 'usd')}</div>
-        ${(!attachment && digital.contentUrl) ? `<div style="margin-top:8px;">If the attachment is missing, you can also download your file here: <a href="${digital.contentUrl}">${digital.contentUrl}</a></div>` : ''}
+        <a href="${download.url}" style="display:inline-block;padding:10px 16px;background:#16a34a;color:#fff;border-radius:6px;text-decoration:none;">Download ${download.fileName}</a>
+        <div style="margin-top:8px;font-size:12px;color:#6b7280;">This link expires ${new Date(download.expiresAt).toLocaleString()} and can be used ${download.maxDownloads} times.</div>
+        <div style="margin-top:8px;">Order total: ${formatPrice(session.amount_total, product.currency || 'usd')}</div>
       `
     });
 
@@ -713,8 +1354,7 @@ async function autoFulfillDigitalOrder(session) {
       from: process.env.RESEND_FROM_EMAIL || 'no-reply@instapay.app',
       to: buyerEmail,
       subject: `Your ${product.title} download`,
-      html: buyerHtml,
-      ...(attachment ? { attachments: [attachment] } : {})
+      html: buyerHtml
     });
 
     const sellerHtml = generateEmailTemplate({
@@ -728,23 +1368,217 @@ async function autoFulfillDigitalOrder(session) {
       `
     });
 
-    await resend.emails.send({
-      from: process.env.RESEND_FROM_EMAIL || 'no-reply@instapay.app',
-      to: seller.email,
-      subject: 'Your order was automatically fulfilled',
-      html: sellerHtml
-    });
+    // Seller notice is best-effort: a failure here must not re-send the buyer's file on retry
+    try {
+      await resend.emails.send({
+        from: process.env.RESEND_FROM_EMAIL || 'no-reply@instapay.app',
+        to: seller.email,
+        subject: 'Your order was automatically fulfilled',
+        html: sellerHtml
+      });
+    } catch (e) {
+      console.error('seller fulfillment email failed:', e);
+    }
 
     return true;
   } catch (err) {
     console.error('autoFulfillDigitalOrder failure:', err);
-    return false;
+    throw err;
+  }
+}
+
+// --- Fulfillment queue ---
+// One job per order in `fulfillments/{orderId}`. The webhook enqueues; the worker
+// claims due jobs, runs autoFulfillDigitalOrder and retries with exponential backoff.
+const FULFILLMENT_MAX_ATTEMPTS = Number(process.env.FULFILLMENT_MAX_ATTEMPTS || 8);
+const FULFILLMENT_POLL_MS = Number(process.env.FULFILLMENT_POLL_MS || 15000);
+const FULFILLMENT_LEASE_MS = 5 * 60 * 1000;
+
+function fulfillmentBackoffMs(attempts) {
+  return Math.min(60 * 1000 * Math.pow(2, Math.max(0, attempts - 1)), 6 * 3600 * 1000);
+}
+
+async function enqueueFulfillment(orderId, session) {
+  const nowIso = new Date().toISOString();
+  const meta = session.metadata || {};
+  const job = {
+    jobId: orderId,
+    orderId,
+    sessionId: session.id,
+    sellerId: meta.sellerId || null,
+    productId: meta.productId || null,
+    linkId: meta.linkId || null,
+    // Minimal snapshot of the Checkout Session that autoFulfillDigitalOrder reads
+    session: {
+      id: session.id,
+      metadata: meta,
+      customer_email: session.customer_email || null,
+      customer_details: { email: session.customer_details?.email || null },
+      amount_total: session.amount_total || 0,
+      currency: session.currency || null
+    },
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: nowIso,
+    createdAt: nowIso,
+    updatedAt: nowIso
+  };
+  try {
+    await db.collection('fulfillments').doc(orderId).create(job);
+  } catch (e) {
+    if (e.code === 6) return null; // ALREADY_EXISTS: webhook redelivery
+    throw e;
+  }
+  setImmediate(() => runFulfillmentWorker().catch(err => console.error('fulfillment worker err', err)));
+  return job;
+}
+
+// Claim a job with a lease so overlapping workers (or dynos) don't double-deliver
+async function claimFulfillmentJob(ref) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    const job = snap.data();
+    const now = Date.now();
+    const due = job.status === 'pending' && Date.parse(job.nextAttemptAt) <= now;
+    const leaseExpired = job.status === 'processing' && Date.parse(job.leaseUntil || 0) <= now;
+    if (!due && !leaseExpired) return null;
+    tx.update(ref, {
+      status: 'processing',
+      leaseUntil: new Date(now + FULFILLMENT_LEASE_MS).toISOString(),
+      updatedAt: new Date(now).toISOString()
+    });
+    return job;
+  });
+}
+
+async function processFulfillmentJob(ref) {
+  const job = await claimFulfillmentJob(ref);
+  if (!job) return;
+  const orderRef = db.collection('orders').doc(job.orderId);
+  const attempts = (job.attempts || 0) + 1;
+  const nowIso = new Date().toISOString();
+
+  try {
+    const delivered = await autoFulfillDigitalOrder(job.session, { orderId: job.orderId });
+    await ref.update({
+      status: delivered ? 'fulfilled' : 'skipped',
+      attempts,
+      lastError: null,
+      leaseUntil: null,
+      completedAt: nowIso,
+      updatedAt: nowIso
+    });
+    await orderRef.set(
+      delivered
+        ? { fulfillmentStatus: 'fulfilled', fulfilledAt: nowIso }
+        : { fulfillmentStatus: 'not_applicable' },
+      { merge: true }
+    );
+    if (delivered && job.sellerId) {
+      await addLedgerEntry(job.sellerId, {
+        type: 'order.fulfilled',
+        orderId: job.orderId,
+        productId: job.productId,
+        linkId: job.linkId,
+        amount_cents: 0,
+        notes: 'Digital file delivered to buyer'
+      });
+    }
+  } catch (err) {
+    const failed = attempts >= FULFILLMENT_MAX_ATTEMPTS;
+    await ref.update({
+      status: failed ? 'failed' : 'pending',
+      attempts,
+      lastError: String(err?.message || err).slice(0, 500),
+      leaseUntil: null,
+      nextAttemptAt: new Date(Date.now() + fulfillmentBackoffMs(attempts)).toISOString(),
+      updatedAt: nowIso
+    });
+    await orderRef.set({ fulfillmentStatus: failed ? 'failed' : 'retrying' }, { merge: true });
+  }
+}
+
+let fulfillmentWorkerRunning = false;
+async function runFulfillmentWorker() {
+  if (fulfillmentWorkerRunning) return;
+  fulfillmentWorkerRunning = true;
+  try {
+    const nowIso = new Date().toISOString();
+    const [dueSnap, staleSnap] = await Promise.all([
+      db.collection('fulfillments').where('status', '==', 'pending').where('nextAttemptAt', '<=', nowIso).limit(20).get(),
+      db.collection('fulfillments').where('status', '==', 'processing').where('leaseUntil', '<=', nowIso).limit(20).get()
+    ]);
+    for (const doc of [...dueSnap.docs, ...staleSnap.docs]) {
+      await processFulfillmentJob(doc.ref);
+    }
+  } finally {
+    fulfillmentWorkerRunning = false;
   }
 }
 
+function startFulfillmentWorker() {
+  if (process.env.FULFILLMENT_WORKER === 'off') return;
+  setInterval(() => {
+    runFulfillmentWorker().catch(err => console.error('fulfillment worker err', err));
+  }, FULFILLMENT_POLL_MS);
+}
+
 // Serve the uploaded files statically
 app.use('/uploads', express.static('uploads'));
 
+/**
+ * Buyer download (streams the private Storage object; never buffers the whole file)
+ * GET /d/:downloadToken
+ */
+app.get('/d/:downloadToken', async (req, res) => {
+  try {
+    const tRef = db.collection('downloadTokens').doc(String(req.params.downloadToken));
+
+    // Count the download atomically so parallel requests can't exceed maxDownloads
+    let t = null;
+    let denied = null;
+    await db.runTransaction(async (tx) => {
+      const snap = await tx.get(tRef);
+      if (!snap.exists) { denied = [404, 'Download link not found']; return; }
+      t = snap.data();
+      if (Date.parse(t.expiresAt) <= Date.now()) { denied = [410, 'This download link has expired']; return; }
+      if ((t.downloadCount || 0) >= (t.maxDownloads || 0)) { denied = [410, 'Download limit reached for this link']; return; }
+      tx.update(tRef, { downloadCount: (t.downloadCount || 0) + 1, lastDownloadedAt: new Date().toISOString() });
+    });
+    if (denied) return res.status(denied[0]).send(denied[1]);
+
+    await tRef.collection('downloads').add({
+      at: new Date().toISOString(),
+      ip: req.ip || null,
+      userAgent: req.headers['user-agent'] || null,
+      count: (t.downloadCount || 0) + 1
+    });
+
+    if (!t.storagePath) {
+      if (t.contentUrl) return res.redirect(302, t.contentUrl);
+      return res.status(404).send('File not available');
+    }
+
+    res.setHeader('Content-Type', t.contentType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${sanitizeFilename(t.fileName || 'download')}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    if (t.fileSize) res.setHeader('Content-Length', String(t.fileSize));
+
+    bucket.file(t.storagePath).createReadStream()
+      .on('error', (err) => {
+        console.error('download stream err', err);
+        if (!res.headersSent) res.status(500).send('Download failed');
+        else res.destroy(err);
+      })
+      .pipe(res);
+  } catch (err) {
+    console.error('download err', err);
+    res.status(500).send('Server error');
+  }
+});
+
 /**
  * Image upload endpoint
  * POST /api/upload
@@ -798,7 +1632,13 @@ app.post('/api/upload', bodyParser.raw({ type: 'image/*', limit: '10mb' }), asyn
  */
 app.post('/api/sellers/onboard', verifyFirebaseToken, async (req, res) => {
   try {
-    const { sellerId, email, business_type, country, business_profile } = req.body;
+    const { sellerId, business_type, country, business_profile } = req.body;
+    if (req.seller && sellerId && String(sellerId) !== String(req.seller.sellerId)) {
+      return res.status(403).json({ error: 'Forbidden: seller mismatch' });
+    }
+    // Existing sellers onboard themselves; new identities get a seller doc keyed to their token email
+    const email = req.seller?.email || req.auth?.email;
+    if (!email) return res.status(400).json({ error: 'authenticated email required' });
     const account = await stripe.accounts.create({
       type: 'express',
       country: country || 'US',
@@ -811,15 +1651,15 @@ app.post('/api/sellers/onboard', verifyFirebaseToken, async (req, res) => {
       }
     });
 
-    const newSellerId = sellerId || nanoid(10);
+    const newSellerId = req.seller?.sellerId || nanoid(10);
     const sellerDoc = {
       sellerId: newSellerId,
       email,
       stripeAccountId: account.id,
       stripeAccountStatus: account?.capabilities || {},
-      createdAt: new Date().toISOString()
+      ...(req.seller ? {} : { createdAt: new Date().toISOString() })
     };
-    await db.collection('sellers').doc(newSellerId).set(sellerDoc);
+    await db.collection('sellers').doc(newSellerId).set(sellerDoc, { merge: true });
 
     const origin = process.env.FRONTEND_BASE_URL || 'http://localhost:3000';
     const accountLink = await stripe.accountLinks.create({
@@ -851,20 +1691,215 @@ app.post('/api/sellers/onboard', verifyFirebaseToken, async (req, res) => {
   }
 });
 
-/**
+// --- Subscriptions ---
+const RECURRING_INTERVALS = ['day', 'week', 'month', 'year'];
+
+function normalizeRecurring(r) {
+  if (!RECURRING_INTERVALS.includes(r.interval)) return { error: `recurring.interval must be one of ${RECURRING_INTERVALS.join(', ')}` };
+  const interval_count = r.interval_count == null ? 1 : Number(r.interval_count);
+  if (!Number.isInteger(interval_count) || interval_count < 1) return { error: 'recurring.interval_count must be a positive integer' };
+  const trial = r.trial_period_days == null ? 0 : Number(r.trial_period_days);
+  if (!Number.isInteger(trial) || trial < 0 || trial > 730) return { error: 'recurring.trial_period_days must be between 0 and 730' };
+  return { interval: r.interval, interval_count, trial_period_days: trial || null };
+}
+
+// subscriptions/{subscriptionId}: one doc per subscriber, fed by checkout + invoice/subscription
+// events (Stripe may deliver them in any order, hence merge writes everywhere)
+function subscriptionPeriodEnd(obj) {
+  const end = obj.current_period_end || obj.items?.data?.[0]?.current_period_end || obj.lines?.data?.[0]?.period?.end;
+  return end ? new Date(end * 1000).toISOString() : null;
+}
+
+async function recordSubscriptionCheckout(session) {
+  await settleInventoryReservation(session.metadata?.reservationId, 'committed');
+  await settleCouponRedemption(session.metadata?.couponRedemptionId, 'redeemed', { subscriptionId: session.subscription || null });
+  if (!session.subscription) return null;
+  const meta = session.metadata || {};
+  const doc = {
+    subscriptionId: String(session.subscription),
+    sellerId: meta.sellerId || null,
+    productId: meta.productId || null,
+    linkId: meta.linkId || null,
+    customerId: session.customer || null,
+    email: session.customer_details?.email || session.customer_email || null,
+    checkoutSessionId: session.id,
+    currency: session.currency || null,
+    createdAt: new Date(session.created * 1000).toISOString()
+  };
+  await db.collection('subscriptions').doc(doc.subscriptionId).set(doc, { merge: true });
+  return doc;
+}
+
+// Credit the seller for one paid invoice (first payment or renewal). Idempotent per invoice.
+async function applySubscriptionInvoice(invoice) {
+  const subscriptionId = invoice.subscription || invoice.parent?.subscription_details?.subscription;
+  if (!subscriptionId) return null;
+
+  let meta = invoice.subscription_details?.metadata || invoice.parent?.subscription_details?.metadata || {};
+  if (!meta.sellerId) {
+    const sub = await stripe.subscriptions.retrieve(String(subscriptionId));
+    meta = sub.metadata || {};
+  }
+  const { sellerId, productId, linkId } = meta;
+  if (!sellerId) return null; // not created through our checkout
+
+  const orderId = String(invoice.payment_intent || invoice.id);
+  const orderRef = db.collection('orders').doc(orderId);
+  // Cheap exit for redeliveries; the transactional claim below is what guarantees it
+  if ((await orderRef.get()).exists) return null;
+
+  const amount = invoice.amount_paid || 0;
+  const firstInvoice = invoice.billing_reason === 'subscription_create';
+  const sellerSnap = await db.collection('sellers').doc(String(sellerId)).get();
+  const feeSchedule = resolveFeeSchedule(sellerSnap.exists ? sellerSnap.data() : null);
+  const fees = feesFromMeta(meta, amount, invoice.currency, feeSchedule);
+  const settlementMode = meta.settlementMode || 'platform';
+  // The discount is baked into the recurring price, so every invoice carries it
+  const coupon = couponFromMeta(meta);
+  const ledgerContext = {
+    type: firstInvoice ? 'subscription.started' : 'subscription.renewal',
+    productId: productId || null,
+    linkId: linkId || null,
+    subscriptionId: String(subscriptionId),
+    invoiceId: invoice.id,
+    orderId,
+    fee_cents: fees.fee_cents,
+    platformFee_cents: fees.platformFee_cents,
+    processingFee_cents: fees.processingFee_cents,
+    gross_cents: amount,
+    currency: invoice.currency,
+    settlementMode,
+    ...(coupon ? { couponCode: coupon.code, discount_cents: coupon.discount_cents } : {})
+  };
+
+  const orderDoc = {
+    orderId,
+    kind: 'subscription',
+    subscriptionId: String(subscriptionId),
+    invoiceId: invoice.id,
+    billingReason: invoice.billing_reason || null,
+    sellerId,
+    productId: productId || null,
+    linkId: linkId || null,
+    amount_total_cents: amount,
+    fee_cents: fees.fee_cents,
+    net_cents: fees.net_cents,
+    fees,
+    feeSchedule,
+    settlementMode,
+    currency: invoice.currency,
+    quantity: Number(meta.quantity) || 1,
+    pricing: pricingFromMeta(meta),
+    coupon,
+    status: amount <= 0 ? 'no_charge' : isDirectSettlement(settlementMode) ? 'settled_direct' : 'credited',
+    fulfillmentStatus: firstInvoice ? 'pending' : 'not_applicable',
+    fulfilledAt: null,
+    createdAt: new Date().toISOString()
+  };
+  const subscriptionWrite = (tx) => tx.set(db.collection('subscriptions').doc(String(subscriptionId)), {
+    subscriptionId: String(subscriptionId),
+    sellerId,
+    productId: productId || null,
+    linkId: linkId || null,
+    customerId: invoice.customer || null,
+    email: invoice.customer_email || null,
+    status: firstInvoice && amount === 0 ? 'trialing' : 'active',
+    lastInvoiceId: invoice.id,
+    lastPaidAt: new Date().toISOString(),
+    currentPeriodEnd: subscriptionPeriodEnd(invoice),
+    payments: admin.firestore.FieldValue.increment(amount > 0 ? 1 : 0),
+    lifetime_cents: admin.firestore.FieldValue.increment(amount)
+  }, { merge: true });
+
+  // The order doc is claimed in the transaction that moves the money, so a retried or
+  // concurrent invoice.paid finds it and changes nothing
+  let applied;
+  if (amount > 0 && !isDirectSettlement(settlementMode)) {
+    applied = (await creditSellerBalance(sellerId, fees.net_cents, ledgerContext, {
+      claim: { ref: orderRef, data: orderDoc },
+      writes: subscriptionWrite
+    })) !== null;
+  } else {
+    applied = await db.runTransaction(async (tx) => {
+      if ((await tx.get(orderRef)).exists) return false;
+      tx.create(orderRef, orderDoc);
+      subscriptionWrite(tx);
+      // $0 invoices (free trial start) are recorded but move no money
+      if (amount > 0) {
+        const lRef = db.collection('sellers').doc(String(sellerId)).collection('ledger').doc();
+        tx.set(lRef, {
+          id: lRef.id,
+          createdAt: new Date().toISOString(),
+          ...ledgerContext,
+          amount_cents: 0,
+          settledDirect_cents: fees.net_cents,
+          notes: 'Settled directly to connected account'
+        });
+      }
+      return true;
+    });
+  }
+  if (!applied) return null;
+
+  // Digital goods are delivered once, when the subscription starts
+  if (firstInvoice) {
+    await enqueueFulfillment(orderId, {
+      id: invoice.id,
+      metadata: meta,
+      customer_email: invoice.customer_email || null,
+      customer_details: { email: invoice.customer_email || null },
+      amount_total: amount,
+      currency: invoice.currency
+    });
+  }
+  return { orderId, amount_cents: amount };
+}
+
+async function updateSubscriptionStatus(sub) {
+  const canceledAt = sub.canceled_at || sub.ended_at;
+  await db.collection('subscriptions').doc(String(sub.id)).set({
+    subscriptionId: String(sub.id),
+    ...(sub.metadata?.sellerId ? { sellerId: sub.metadata.sellerId } : {}),
+    customerId: sub.customer || null,
+    status: sub.status,
+    cancelAtPeriodEnd: Boolean(sub.cancel_at_period_end),
+    currentPeriodEnd: subscriptionPeriodEnd(sub),
+    ...(sub.status === 'canceled' ? { canceledAt: canceledAt ? new Date(canceledAt * 1000).toISOString() : new Date().toISOString() } : {}),
+    updatedAt: new Date().toISOString()
+  }, { merge: true });
+}
+
+/**
  * Create product
  * POST /api/products
- * body: { sellerId, title, description, price_cents, currency, image_url, inventory, checkoutSchema, digitalFileUrl }
+ * auth: Bearer token; sellerId/email in body (optional) must match the caller
+ * body: { sellerId, title, description, price_cents, currency, image_url, inventory, checkoutSchema, digitalFileUrl,
+ *         recurring?: { interval: 'day'|'week'|'month'|'year', interval_count, trial_period_days } }
  */
-app.post('/api/products', async (req, res) => {
+app.post('/api/products', verifyFirebaseToken, requireSellerAccess(), idempotent('products'), async (req, res) => {
   try {
     const {
-      sellerId, email, title, description, price_cents, currency,
+      title, description, price_cents, currency,
       image_url, inventory, checkoutSchema,
-      digitalFileUrl // optional
+      digitalFileUrl, // optional
+      recurring // optional: subscription product
     } = req.body;
 
-    const check = await resolveVerifiedSellerFromEmailOrId({ email: email?.toLowerCase?.(), sellerId });
+    // The code ends up in Stripe prices and Intl formatting; a typo would break the payment page
+    if (currency != null && !isValidCurrency(currency)) {
+      return res.status(400).json({ error: 'currency must be a 3-letter ISO 4217 code, e.g. usd' });
+    }
+
+    let recurringCfg = null;
+    if (recurring) {
+      recurringCfg = normalizeRecurring(recurring);
+      if (recurringCfg.error) return res.status(400).json({ error: recurringCfg.error });
+      if (!Number.isInteger(price_cents) || price_cents <= 0) {
+        return res.status(400).json({ error: 'subscription products need a price_cents per billing period' });
+      }
+    }
+
+    const check = requireVerifiedSeller(req.seller);
     if (!check.ok) {
       if (check.code === 'EMAIL_NOT_VERIFIED' || check.code === 'NOT_FOUND') {
         return res.status(403).json({ error: 'EMAIL_NOT_VERIFIED', requiresEmailVerification: true });
@@ -894,7 +1929,7 @@ app.post('/api/products', async (req, res) => {
       title,
       description: description || '',
       // price_cents is now optional to support auction-only flows
-      price_cents: Number.isInteger(price_cents) ? price_cents : null,
+      price_cents: Number.isInteger(price_cents) ? roundMinorUnits(price_cents, currency) : null,
       currency: (currency || 'usd').toLowerCase(),
       image_url: image_url || null,
       inventory: typeof inventory === 'number' ? inventory : null,
@@ -906,7 +1941,9 @@ app.post('/api/products', async (req, res) => {
         textColor: '#0f172a'
       },
       digitalDownload,
-      hasDigital: Boolean(digitalDownload)
+      hasDigital: Boolean(digitalDownload),
+      // Non-null => sold as a subscription (price_cents per interval)
+      recurring: recurringCfg
     };
 
     await productRef.set(product);
@@ -930,13 +1967,14 @@ app.post('/api/products', async (req, res) => {
  * POST /api/products/:productId/associate
  * body: { sellerId }
  */
-app.post('/api/products/:productId/associate', verifyFirebaseToken, async (req, res) => {
+app.post('/api/products/:productId/associate', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
   try {
     const { productId } = req.params;
-    const { sellerId } = req.body;
+    const sellerId = req.seller.sellerId;
     const pRef = db.collection('products').doc(productId);
     const pSnap = await pRef.get();
     if (!pSnap.exists) return res.status(404).send({ error: 'product not found' });
+    if (!sellerOwnsProduct(req.seller, pSnap.data())) return res.status(403).send({ error: 'Forbidden: product belongs to another seller' });
 
     await pRef.update({ sellerId });
     res.send({ success: true });
@@ -949,14 +1987,44 @@ app.post('/api/products/:productId/associate', verifyFirebaseToken, async (req,
 /**
  * Create short link
  * POST /api/links
- * body: { productId, sellerId, email, expiresAt, digitalFileUrl, auction?: { enabled, endsAt, startingPrice_cents, minIncrement_cents } }
+ * body: { productId, sellerId, email, expiresAt, digitalFileUrl,
+ *         auction?: { enabled, type: 'english'|'dutch'|'sealed', endsAt, startingPrice_cents, minIncrement_cents, reservePrice_cents,
+ *                     softCloseMinutes, softCloseExtendMinutes, maxRunnerUps,
+ *                     floorPrice_cents, dropAmount_cents, dropIntervalMinutes,  // dutch
+ *                     sealedPricing: 'first'|'second' },                      // sealed
+ *         quantity?: { min, max },                      // buyer picks how many (1..max per checkout)
+ *         items?: [{ productId, quantity }], title?,    // bundle: several products in one checkout
+ *         payWhatYouWant?: { minimum_cents, suggested_cents: [] },  // buyer names the price
+ *         tips?: { enabled, presets_percent: [] } }                // optional tip on fixed-price links
  */
-app.post('/api/links', async (req, res) => {
+app.post('/api/links', verifyFirebaseToken, requireSellerAccess(), idempotent('links'), async (req, res) => {
   try {
-    const { productId, sellerId, email, expiresAt, digitalFileUrl, auction } = req.body;
+    const { expiresAt, digitalFileUrl, auction, quantity, items, title, payWhatYouWant, tips } = req.body;
+    // Bundles: the first item doubles as link.productId (digital delivery, page branding)
+    const bundle = Array.isArray(items) && items.length > 1 ? normalizeBundleItems(items) : null;
+    if (bundle?.error) return res.status(400).json({ error: bundle.error });
+    const productId = bundle ? bundle[0].productId : (req.body.productId || items?.[0]?.productId);
     if (!productId) return res.status(400).json({ error: 'productId required' });
+    if (bundle && auction?.enabled) return res.status(400).json({ error: 'bundles cannot be auctioned' });
+
+    let quantityCfg = null;
+    if (quantity) {
+      if (auction?.enabled) return res.status(400).json({ error: 'auction links sell a single unit' });
+      quantityCfg = normalizeQuantityConfig(quantity);
+      if (quantityCfg.error) return res.status(400).json({ error: quantityCfg.error });
+    }
+
+    if (payWhatYouWant && (auction?.enabled || bundle || quantityCfg)) {
+      return res.status(400).json({ error: 'pay-what-you-want links sell one product, one unit, without an auction' });
+    }
+    let tipsCfg = null;
+    if (tips?.enabled) {
+      if (auction?.enabled || payWhatYouWant) return res.status(400).json({ error: 'tips are only available on fixed-price links' });
+      tipsCfg = normalizeTips(tips);
+      if (tipsCfg.error) return res.status(400).json({ error: tipsCfg.error });
+    }
 
-    const check = await resolveVerifiedSellerFromEmailOrId({ email: email?.toLowerCase?.(), sellerId });
+    const check = requireVerifiedSeller(req.seller);
     if (!check.ok) {
       if (check.code === 'EMAIL_NOT_VERIFIED' || check.code === 'NOT_FOUND') {
         return res.status(403).json({ error: 'EMAIL_NOT_VERIFIED', requiresEmailVerification: true });
@@ -967,6 +2035,30 @@ app.post('/api/links', async (req, res) => {
     const productSnap = await db.collection('products').doc(productId).get();
     if (!productSnap.exists) return res.status(404).json({ error: 'product not found' });
     const product = productSnap.data();
+    if (!sellerOwnsProduct(check.seller, product)) return res.status(403).json({ error: 'Forbidden: product belongs to another seller' });
+    if (product.recurring && auction?.enabled) return res.status(400).json({ error: 'subscription products cannot be auctioned' });
+    if (product.recurring && tipsCfg) return res.status(400).json({ error: 'tips are not available on subscription products' });
+    // Minimums are in the product's currency
+    let pwywCfg = null;
+    if (payWhatYouWant) {
+      pwywCfg = normalizePayWhatYouWant(payWhatYouWant, product.currency);
+      if (pwywCfg.error) return res.status(400).json({ error: pwywCfg.error });
+    }
+    if (!pwywCfg && !auction?.enabled && !(Number.isInteger(product.price_cents) && product.price_cents > 0)) {
+      return res.status(400).json({ error: 'product has no price; use an auction or pay-what-you-want link' });
+    }
+
+    if (bundle) {
+      const bundleSnaps = await Promise.all(bundle.map(i => db.collection('products').doc(i.productId).get()));
+      for (const snap of bundleSnaps) {
+        if (!snap.exists) return res.status(404).json({ error: `product not found: ${snap.id}` });
+        const p = snap.data();
+        if (!sellerOwnsProduct(check.seller, p)) return res.status(403).json({ error: 'Forbidden: product belongs to another seller' });
+        if (p.recurring) return res.status(400).json({ error: 'subscription products cannot be bundled' });
+        if (!Number.isInteger(p.price_cents) || p.price_cents <= 0) return res.status(400).json({ error: `product ${snap.id} has no price` });
+        if ((p.currency || 'usd') !== (product.currency || 'usd')) return res.status(400).json({ error: 'bundled products must share a currency' });
+      }
+    }
 
     const linkId = nanoid(7).toUpperCase();
 
@@ -992,12 +2084,53 @@ app.post('/api/links', async (req, res) => {
     let auctionCfg = null;
     if (auction?.enabled) {
       if (!auction.endsAt) return res.status(400).json({ error: 'auction.endsAt required when auction.enabled' });
+      const type = auction.type || 'english';
+      if (!AUCTION_TYPES.includes(type)) return res.status(400).json({ error: `auction.type must be one of ${AUCTION_TYPES.join(', ')}` });
       const endsAtIso = new Date(auction.endsAt).toISOString();
+      const startingPrice_cents = Number.isInteger(auction.startingPrice_cents) ? auction.startingPrice_cents : (product.price_cents || 0);
+      if (auction.reservePrice_cents != null && (!Number.isInteger(auction.reservePrice_cents) || auction.reservePrice_cents < startingPrice_cents)) {
+        return res.status(400).json({ error: 'auction.reservePrice_cents must be an integer >= startingPrice_cents' });
+      }
+      // Soft close only makes sense when bidders can see and answer each other (english)
+      const softCloseMinutes = type !== 'english'
+        ? 0
+        : auction.softCloseMinutes != null && Number.isFinite(Number(auction.softCloseMinutes))
+          ? Math.max(0, Number(auction.softCloseMinutes))
+          : AUCTION_SOFT_CLOSE_MINUTES;
+
+      let typeCfg = {};
+      if (type === 'dutch') {
+        const { floorPrice_cents, dropAmount_cents } = auction;
+        const dropIntervalMinutes = Number(auction.dropIntervalMinutes || 60);
+        if (!Number.isInteger(floorPrice_cents) || floorPrice_cents <= 0 || floorPrice_cents >= startingPrice_cents) {
+          return res.status(400).json({ error: 'dutch auctions need floorPrice_cents between 1 and startingPrice_cents' });
+        }
+        if (!Number.isInteger(dropAmount_cents) || dropAmount_cents <= 0 || !(dropIntervalMinutes > 0)) {
+          return res.status(400).json({ error: 'dutch auctions need a positive dropAmount_cents and dropIntervalMinutes' });
+        }
+        typeCfg = { floorPrice_cents, dropAmount_cents, dropIntervalMinutes, startsAt: new Date().toISOString() };
+      } else if (type === 'sealed') {
+        const sealedPricing = auction.sealedPricing || 'first';
+        if (!['first', 'second'].includes(sealedPricing)) return res.status(400).json({ error: 'auction.sealedPricing must be first or second' });
+        typeCfg = { sealedPricing };
+      }
+
       auctionCfg = {
         enabled: true,
+        type,
+        ...typeCfg,
         endsAt: endsAtIso,
-        startingPrice_cents: Number.isInteger(auction.startingPrice_cents) ? auction.startingPrice_cents : (product.price_cents || 0),
+        originalEndsAt: endsAtIso,
+        startingPrice_cents,
         minIncrement_cents: Number.isInteger(auction.minIncrement_cents) ? auction.minIncrement_cents : 100,
+        // Hidden from bidders; see publicAuction()
+        reservePrice_cents: Number.isInteger(auction.reservePrice_cents) ? auction.reservePrice_cents : null,
+        // Soft close: a bid in the final softCloseMinutes pushes endsAt to now + softCloseExtendMinutes
+        softCloseMinutes,
+        softCloseExtendMinutes: Number(auction.softCloseExtendMinutes) > 0 ? Number(auction.softCloseExtendMinutes) : (softCloseMinutes || 0),
+        extensions: 0,
+        // How many runner-ups get offered the item if the winner doesn't pay
+        maxRunnerUps: Number.isInteger(auction.maxRunnerUps) && auction.maxRunnerUps >= 0 ? auction.maxRunnerUps : AUCTION_RUNNER_UPS,
         status: 'active'
       };
     }
@@ -1010,8 +2143,16 @@ app.post('/api/links', async (req, res) => {
       createdAt: new Date().toISOString(),
       // If auction provided, force expiresAt to endsAt
       expiresAt: auctionCfg?.endsAt || expiresAt || null,
+      // Flipped off by the link-expiry job, auction finalization or a paid auction offer
+      active: true,
       digitalDownload: linkDigital,
       hasDigital,
+      // null => always one unit
+      quantity: quantityCfg,
+      // null => list price
+      payWhatYouWant: pwywCfg,
+      tips: tipsCfg,
+      ...(bundle ? { items: bundle, title: title ? String(title).slice(0, 120) : null } : {}),
       ...(auctionCfg ? { auction: auctionCfg } : {})
     };
 
@@ -1019,22 +2160,592 @@ app.post('/api/links', async (req, res) => {
 
     const pageUrl = `${baseUrl()}/p/${linkId}${hasDigital ? '?digital=1' : ''}`;
 
-    res.json({ linkId, pageUrl, hasDigital, auction: auctionCfg || null });
+    res.json({
+      linkId, pageUrl, hasDigital,
+      auction: auctionCfg || null,
+      quantity: quantityCfg,
+      items: bundle,
+      payWhatYouWant: pwywCfg,
+      tips: tipsCfg
+    });
   } catch (err) {
     console.error('Error creating payment link:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// --- Link quantity / bundle helpers ---
+// link.quantity: { adjustable: true, min, max } lets the buyer pick a quantity on /p.
+// link.items: [{ productId, quantity }] sells several products as one bundle; the buyer's
+// quantity multiplies the whole bundle.
+const MAX_LINK_QUANTITY = 99;
+const MAX_BUNDLE_ITEMS = 10; // keeps the item list inside Stripe's 500-char metadata values
+
+function normalizeQuantityConfig(q) {
+  const min = q.min == null ? 1 : Number(q.min);
+  const max = q.max == null ? MAX_LINK_QUANTITY : Number(q.max);
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min || max > MAX_LINK_QUANTITY) {
+    return { error: `quantity.min/max must be integers with 1 <= min <= max <= ${MAX_LINK_QUANTITY}` };
+  }
+  return { adjustable: true, min, max };
+}
+
+function normalizeBundleItems(items) {
+  if (items.length > MAX_BUNDLE_ITEMS) return { error: `bundles hold at most ${MAX_BUNDLE_ITEMS} products` };
+  const seen = new Set();
+  const out = [];
+  for (const item of items) {
+    const productId = String(item?.productId || '');
+    const quantity = item?.quantity == null ? 1 : Number(item.quantity);
+    if (!productId) return { error: 'every bundle item needs a productId' };
+    if (!Number.isInteger(quantity) || quantity < 1) return { error: 'bundle item quantity must be a positive integer' };
+    if (seen.has(productId)) return { error: 'bundle lists a product twice' };
+    seen.add(productId);
+    out.push({ productId, quantity });
+  }
+  return out;
+}
+
+// The quantity a buyer asked for, checked against the link's bounds; always 1 on fixed links
+function checkoutQuantity(link, requested) {
+  if (!link.quantity?.adjustable) return { quantity: 1 };
+  const quantity = requested == null || requested === '' ? link.quantity.min : Number(requested);
+  if (!Number.isInteger(quantity) || quantity < link.quantity.min || quantity > link.quantity.max) {
+    return { error: `Quantity must be between ${link.quantity.min} and ${link.quantity.max}.` };
+  }
+  return { quantity };
+}
+
+// [{ product, quantity }] sold by a link (its bundle, else its product), scaled by the buyer's quantity.
+// Products that no longer exist come back as product: null.
+async function loadLinkLines(link, quantity = 1) {
+  const items = link.items?.length ? link.items : [{ productId: link.productId, quantity: 1 }];
+  const snaps = await Promise.all(items.map(i => db.collection('products').doc(String(i.productId)).get()));
+  return snaps.map((snap, idx) => ({
+    productId: items[idx].productId,
+    product: snap.exists ? snap.data() : null,
+    quantity: items[idx].quantity * quantity
+  }));
+}
+
+// Compact "productId:qty,..." for Checkout metadata, and back
+function encodeLineItems(lines) {
+  return lines.map(l => `${l.productId}:${l.quantity}`).join(',');
+}
+
+function decodeLineItems(value) {
+  if (!value) return null;
+  return String(value).split(',').map(part => {
+    const [productId, qty] = part.split(':');
+    return { productId, quantity: Number(qty) || 1 };
+  });
+}
+
+// --- Buyer-set amounts ---
+// link.payWhatYouWant: { minimum_cents, suggested_cents } — the buyer names the price (>= minimum).
+// link.tips: { enabled, presets_percent } — an optional tip line on top of a fixed price.
+// Either way the amount comes from the page, so checkout re-validates it.
+const MAX_BUYER_AMOUNT_CENTS = Number(process.env.MAX_BUYER_AMOUNT_CENTS || 1000000);
+const MAX_PRESETS = 4;
+
+function normalizePayWhatYouWant(cfg, currency) {
+  const floor = minimumChargeCents(currency);
+  const minimum_cents = cfg.minimum_cents == null ? floor : roundMinorUnits(cfg.minimum_cents, currency);
+  if (!Number.isInteger(minimum_cents) || minimum_cents < floor || minimum_cents > MAX_BUYER_AMOUNT_CENTS) {
+    return { error: `payWhatYouWant.minimum_cents must be an integer between ${floor} and ${MAX_BUYER_AMOUNT_CENTS}` };
+  }
+  const raw = cfg.suggested_cents || [];
+  const suggested = Array.isArray(raw) ? raw.map(c => (Number.isInteger(c) ? roundMinorUnits(c, currency) : c)) : null;
+  if (!suggested || suggested.length > MAX_PRESETS ||
+      suggested.some(c => !Number.isInteger(c) || c < minimum_cents || c > MAX_BUYER_AMOUNT_CENTS)) {
+    return { error: `payWhatYouWant.suggested_cents takes up to ${MAX_PRESETS} amounts at or above the minimum` };
+  }
+  return { minimum_cents, suggested_cents: [...new Set(suggested)].sort((a, b) => a - b) };
+}
+
+function normalizeTips(cfg) {
+  const presets = cfg.presets_percent || [10, 15, 20];
+  if (!Array.isArray(presets) || presets.length > MAX_PRESETS || presets.some(p => !Number.isInteger(p) || p <= 0 || p > 100)) {
+    return { error: `tips.presets_percent takes up to ${MAX_PRESETS} whole percentages (1-100)` };
+  }
+  return { enabled: true, presets_percent: [...new Set(presets)].sort((a, b) => a - b) };
+}
+
+// Checkout metadata -> the price the buyer chose, stored on orders / ledger entries
+function pricingFromMeta(meta = {}) {
+  return {
+    mode: meta.pricingMode || 'fixed',
+    chosenPrice_cents: meta.chosenPrice_cents ? Number(meta.chosenPrice_cents) : null,
+    tip_cents: Number(meta.tip_cents) || 0
+  };
+}
+
+// --- Inventory helpers ---
+// product.inventory is stock on hand (null = untracked); product.inventoryReserved counts units
+// held by open Checkout Sessions. Holds live in `inventoryReservations` and are released on
+// checkout.session.expired or committed (inventory decremented) on checkout.session.completed.
+// Holds whose webhook never arrived are released by the releaseAbandonedHolds job.
+// Stripe rejects expires_at under 30 minutes from when it receives the request; the extra minute
+// covers flooring to seconds and the reservation/coupon work done before sessions.create.
+// Hold expiries and the sweeps below all derive from this, so they stay in step with the session.
+const CHECKOUT_HOLD_MINUTES = Math.max(31, Number(process.env.CHECKOUT_HOLD_MINUTES || 31));
+
+class SoldOutError extends Error {
+  constructor(productId, available = 0) {
+    super(available > 0 ? `Only ${available} left in stock.` : 'This item is sold out.');
+    this.code = 'SOLD_OUT';
+    this.productId = productId;
+    this.available = available;
+  }
+}
+
+function availableInventory(product) {
+  if (typeof product?.inventory !== 'number') return Infinity;
+  return Math.max(0, product.inventory - (product.inventoryReserved || 0));
+}
+
+// items: [{ productId, quantity }]. Returns null when no item tracks inventory.
+async function reserveInventory(items, context = {}) {
+  const ref = db.collection('inventoryReservations').doc();
+  let held = [];
+  await db.runTransaction(async (tx) => {
+    held = [];
+    const refs = items.map(i => db.collection('products').doc(String(i.productId)));
+    const snaps = await Promise.all(refs.map(r => tx.get(r)));
+    snaps.forEach((snap, idx) => {
+      const item = items[idx];
+      if (!snap.exists) throw new Error(`product not found: ${item.productId}`);
+      const product = snap.data();
+      if (typeof product.inventory !== 'number') return;
+      if (availableInventory(product) < item.quantity) throw new SoldOutError(item.productId, availableInventory(product));
+      held.push({ productId: item.productId, quantity: item.quantity });
+      tx.update(refs[idx], { inventoryReserved: (product.inventoryReserved || 0) + item.quantity });
+    });
+    if (!held.length) return;
+    tx.set(ref, {
+      reservationId: ref.id,
+      items: held,
+      status: 'held',
+      expiresAt: new Date(Date.now() + CHECKOUT_HOLD_MINUTES * 60 * 1000).toISOString(),
+      createdAt: new Date().toISOString(),
+      ...context
+    });
+  });
+  return held.length ? { reservationId: ref.id, items: held } : null;
+}
+
+// Settle a held reservation: 'released' returns units to sale, 'committed' removes them from stock.
+async function settleInventoryReservation(reservationId, outcome) {
+  if (!reservationId) return false;
+  const ref = db.collection('inventoryReservations').doc(String(reservationId));
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.data().status !== 'held') return false; // already settled
+    const { items = [] } = snap.data();
+    const pRefs = items.map(i => db.collection('products').doc(String(i.productId)));
+    const pSnaps = await Promise.all(pRefs.map(r => tx.get(r)));
+    pSnaps.forEach((pSnap, idx) => {
+      if (!pSnap.exists) return;
+      const p = pSnap.data();
+      const qty = items[idx].quantity;
+      const update = { inventoryReserved: Math.max(0, (p.inventoryReserved || 0) - qty) };
+      if (outcome === 'committed' && typeof p.inventory === 'number') {
+        update.inventory = Math.max(0, p.inventory - qty);
+      }
+      tx.update(pRefs[idx], update);
+    });
+    tx.update(ref, { status: outcome, settledAt: new Date().toISOString() });
+    return true;
+  });
+}
+
 // --- Auction helpers ---
-async function getHighestBid(linkId) {
+// english: open ascending bids. dutch: price drops on a schedule until the first taker.
+// sealed: bids hidden until close; winner pays their bid (first) or the runner-up's (second).
+const AUCTION_TYPES = ['english', 'dutch', 'sealed'];
+const AUCTION_SOFT_CLOSE_MINUTES = Number(process.env.AUCTION_SOFT_CLOSE_MINUTES ?? 2);
+
+function auctionType(auction) {
+  return auction?.type || 'english';
+}
+
+// Dutch price at `at`: starting price less one drop per elapsed interval, never below the floor
+function dutchPrice(auction, at = new Date()) {
+  const elapsed = Math.max(0, at - Date.parse(auction.startsAt));
+  const steps = Math.floor(elapsed / (auction.dropIntervalMinutes * 60 * 1000));
+  return Math.max(auction.floorPrice_cents, auction.startingPrice_cents - steps * auction.dropAmount_cents);
+}
+
+// What the sealed-bid winner pays: their bid, or (second price) the next bid / reserve / start, whichever is highest
+function sealedPrice(auction, highest, second) {
+  if (auction.sealedPricing !== 'second') return highest.amount_cents;
+  const floor = Math.max(second?.amount_cents || 0, auction.reservePrice_cents || 0, auction.startingPrice_cents || 0);
+  return Math.min(highest.amount_cents, floor);
+}
+
+// Auction state safe to show bidders: the reserve amount stays private, only whether it's met
+function publicAuction(auction, highest_cents = 0) {
+  if (!auction) return null;
+  const { reservePrice_cents, offers, soldTo, ...rest } = auction;
+  const hasReserve = Number.isInteger(reservePrice_cents) && reservePrice_cents > 0;
+  return {
+    ...rest,
+    winner: rest.winner ? { amount_cents: rest.winner.amount_cents, price_cents: rest.winner.price_cents ?? rest.winner.amount_cents } : null,
+    hasReserve,
+    reserveMet: auction.status === 'finalized' && auction.reserveMet !== undefined
+      ? auction.reserveMet
+      : !hasReserve || highest_cents >= reservePrice_cents
+  };
+}
+
+// New endsAt if a bid placed at `now` falls inside the soft-close window, else null
+function softCloseExtension(auction, now = new Date()) {
+  const windowMs = (auction.softCloseMinutes || 0) * 60 * 1000;
+  if (!windowMs) return null;
+  const endsAt = new Date(auction.endsAt);
+  if (endsAt - now > windowMs) return null;
+  const extended = new Date(now.getTime() + (auction.softCloseExtendMinutes || auction.softCloseMinutes) * 60 * 1000);
+  return extended > endsAt ? extended.toISOString() : null;
+}
+
+// Bid ordering: higher amount wins; equal amounts go to the earlier bid
+function bidOutranks(a, b) {
+  if (!b) return true;
+  if (a.amount_cents !== b.amount_cents) return a.amount_cents > b.amount_cents;
+  return Date.parse(a.createdAt) < Date.parse(b.createdAt);
+}
+
+// link.highestBid is maintained transactionally by POST /api/bids; links that predate it
+// fall back to querying the bids subcollection.
+async function getHighestBid(linkId, link = null) {
+  if (link?.highestBid) return link.highestBid;
   const bidsSnap = await db.collection('links').doc(linkId).collection('bids')
-    .orderBy('amount_cents', 'desc').limit(1).get();
+    .orderBy('amount_cents', 'desc').orderBy('createdAt', 'asc').limit(1).get();
   if (bidsSnap.empty) return null;
   const doc = bidsSnap.docs[0];
   return { bidId: doc.id, ...doc.data() };
 }
 
+// --- Bidders ---
+// links/{linkId}/bidders/{emailHash}: { email, verified, tokenHash, notifyOutbid, unsubscribeToken }
+// A bidder confirms their email once per auction; the verify link hands the page a bidder
+// token that must accompany every bid for that email.
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function bidderRef(linkId, email) {
+  const key = sha256Hex(String(email).toLowerCase()).slice(0, 32);
+  return db.collection('links').doc(String(linkId)).collection('bidders').doc(key);
+}
+
+async function verifiedBidder(linkId, email, bidderToken) {
+  if (!bidderToken) return null;
+  const snap = await bidderRef(linkId, email).get();
+  if (!snap.exists) return null;
+  const bidder = snap.data();
+  if (!bidder.verified || bidder.tokenHash !== sha256Hex(bidderToken)) return null;
+  return bidder;
+}
+
+async function sendAuctionEmail(to, subject, { title, message, details }) {
+  if (!to) return;
+  await resend.emails.send({
+    from: process.env.RESEND_FROM_EMAIL || 'no-reply@instapay.app',
+    to,
+    subject,
+    html: generateEmailTemplate({ appName: 'InstaPay', title, message, details })
+  });
+}
+
+// Outbid notice to the previous leader (unless they unsubscribed) + first-bid notice to the seller
+async function notifyBidPlaced(link, { bid, previous }) {
+  const pSnap = await db.collection('products').doc(link.productId).get();
+  const title = pSnap.data()?.title || 'your item';
+  const currency = pSnap.data()?.currency;
+  const pageUrl = `${baseUrl()}/p/${link.linkId}`;
+
+  if (previous && previous.email !== bid.email && auctionType(link.auction) === 'english') {
+    const bSnap = await bidderRef(link.linkId, previous.email).get();
+    const bidder = bSnap.exists ? bSnap.data() : null;
+    if (bidder && bidder.notifyOutbid !== false) {
+      const unsubscribeUrl = `${baseUrl()}/api/bids/${link.linkId}/unsubscribe?b=${bSnap.id}&t=${encodeURIComponent(bidder.unsubscribeToken)}`;
+      await sendAuctionEmail(previous.email, `You've been outbid on ${title}`, {
+        title: "You've been outbid",
+        message: `Someone bid <strong>${fmtMoney(bid.amount_cents, currency)}</strong> on <strong>${title}</strong>, beating your ${fmtMoney(previous.amount_cents, currency)}.`,
+        details: `<a href="${pageUrl}" style="color:#16a34a;font-weight:600;">Place a new bid</a>
+                  <div style="margin-top:12px;font-size:12px;color:#6b7280;"><a href="${unsubscribeUrl}" style="color:#6b7280;">Stop outbid emails for this auction</a></div>`
+      });
+    }
+  }
+
+  if (!previous) {
+    const sSnap = await db.collection('sellers').doc(String(link.sellerId)).get();
+    await sendAuctionEmail(sSnap.data()?.email, `First bid on ${title}`, {
+      title: 'Your auction has its first bid',
+      message: `<strong>${title}</strong> received a bid of ${fmtMoney(bid.amount_cents, currency)}.`,
+      details: `<a href="${pageUrl}" style="color:#16a34a;font-weight:600;">View auction</a>`
+    });
+  }
+}
+
+async function notifySellerAuctionClosed(link, { winner, outcome, highest }) {
+  const [pSnap, sSnap] = await Promise.all([
+    db.collection('products').doc(link.productId).get(),
+    db.collection('sellers').doc(String(link.sellerId)).get()
+  ]);
+  const title = pSnap.data()?.title || 'your item';
+  const currency = pSnap.data()?.currency;
+  const message = outcome === 'sold'
+    ? `<strong>${title}</strong> sold for ${fmtMoney(winner.amount_cents, currency)}. We've emailed the winner a checkout link.`
+    : outcome === 'reserve_not_met'
+      ? `<strong>${title}</strong> closed at ${fmtMoney(highest.amount_cents, currency)}, below your reserve. There is no winner.`
+      : `<strong>${title}</strong> closed without any bids.`;
+  await sendAuctionEmail(sSnap.data()?.email, `Your auction for ${title} has closed`, {
+    title: 'Auction closed',
+    message
+  });
+}
+
+// --- Winner / runner-up offers ---
+// The winner gets a checkout link locked to their email. If it lapses unpaid, the next
+// distinct bidder (still at or above reserve) is offered the item at their own bid, up to
+// auction.maxRunnerUps times. Each step is appended to link.auction.offers.
+const AUCTION_OFFER_HOURS = Number(process.env.AUCTION_OFFER_HOURS || 48);
+const AUCTION_RUNNER_UPS = Number(process.env.AUCTION_RUNNER_UPS ?? 2);
+
+async function offerAuctionItem(parentLinkId, bid) {
+  const parentRef = db.collection('links').doc(String(parentLinkId));
+  const link = (await parentRef.get()).data();
+  const pSnap = await db.collection('products').doc(link.productId).get();
+  const product = pSnap.data();
+
+  const offerLinkId = nanoid(7).toUpperCase();
+  const nowIso = new Date().toISOString();
+  const expiresAt = new Date(Date.now() + AUCTION_OFFER_HOURS * 3600 * 1000).toISOString();
+  const price_cents = bid.price_cents ?? bid.amount_cents;
+  const digitalDownload = link.digitalDownload || product.digitalDownload || null;
+  const offerLinkDoc = {
+    linkId: offerLinkId,
+    productId: link.productId,
+    sellerId: link.sellerId,
+    createdAt: nowIso,
+    expiresAt,
+    digitalDownload,
+    hasDigital: Boolean(digitalDownload && (digitalDownload.storagePath || digitalDownload.contentUrl)),
+    active: true,
+    // Checkout only for this email, at this price
+    restrictedToEmail: bid.email,
+    auctionOffer: {
+      parentLinkId: link.linkId,
+      rank: bid.rank,
+      bidId: bid.bidId,
+      bid_cents: bid.amount_cents,
+      // checkout charges this
+      amount_cents: price_cents,
+      status: 'offered'
+    }
+  };
+  await db.collection('links').doc(offerLinkId).set(offerLinkDoc);
+  await parentRef.update({
+    'auction.offers': admin.firestore.FieldValue.arrayUnion({
+      rank: bid.rank,
+      email: bid.email,
+      bidId: bid.bidId,
+      amount_cents: bid.amount_cents,
+      price_cents,
+      offerLinkId,
+      offeredAt: nowIso,
+      expiresAt,
+      status: 'offered'
+    }),
+    'auction.currentOfferLinkId': offerLinkId,
+    'auction.offerStatus': 'offered'
+  });
+
+  const offerPageUrl = `${baseUrl()}/p/${offerLinkId}${offerLinkDoc.hasDigital ? '?digital=1' : ''}`;
+  const isWinner = bid.rank === 1;
+  await sendAuctionEmail(bid.email, isWinner ? 'You won the auction!' : `${product.title} is available at your bid`, {
+    title: isWinner ? 'You won the auction!' : 'The item is yours if you want it',
+    message: isWinner
+      ? `Congrats! You won the auction for <strong>${product.title}</strong> with a bid of ${fmtMoney(bid.amount_cents, product.currency)}.${
+        price_cents !== bid.amount_cents ? ` You pay the second-highest price: <strong>${fmtMoney(price_cents, product.currency)}</strong>.` : ''}`
+      : `The winning bidder didn't complete their purchase of <strong>${product.title}</strong>. You can buy it at your bid of ${fmtMoney(bid.amount_cents, product.currency)}.`,
+    details: `<a href="${offerPageUrl}" style="color:#16a34a;font-weight:600;">Complete your purchase</a><div style="margin-top:8px;">Link expires: ${new Date(expiresAt).toLocaleString()}</div>`
+  });
+  return offerLinkDoc;
+}
+
+// Replace the entry for offerLinkId in link.auction.offers (arrays can't be patched in place)
+function patchOffer(offers, offerLinkId, patch) {
+  return (offers || []).map(o => (o.offerLinkId === offerLinkId ? { ...o, ...patch } : o));
+}
+
+// Webhook hook: the buyer paid through an offer link. Returns false when the payment can't have
+// the item: the offer lapsed (it went to the next bidder) or another order already paid it.
+async function markAuctionOfferPaid(offerLinkId, orderId) {
+  const offerRef = db.collection('links').doc(String(offerLinkId));
+  return db.runTransaction(async (tx) => {
+    const offerSnap = await tx.get(offerRef);
+    const offer = offerSnap.data()?.auctionOffer;
+    if (!offer) return true; // not an offer link
+    if (offer.status === 'paid') return offer.orderId === orderId;
+    if (offer.status !== 'offered') return false;
+    const parentRef = db.collection('links').doc(offer.parentLinkId);
+    const parentSnap = await tx.get(parentRef);
+    const nowIso = new Date().toISOString();
+    tx.update(offerRef, { 'auctionOffer.status': 'paid', 'auctionOffer.orderId': orderId, active: false });
+    tx.update(parentRef, {
+      'auction.offers': patchOffer(parentSnap.data()?.auction?.offers, offerLinkId, { status: 'paid', paidAt: nowIso, orderId }),
+      'auction.offerStatus': 'paid',
+      'auction.soldTo': { email: offerSnap.data().restrictedToEmail, amount_cents: offer.amount_cents, rank: offer.rank, orderId }
+    });
+    return true;
+  });
+}
+
+// Give back a payment that arrived for an offer it can't have. The charge.refunded webhook then
+// takes the credit back off the seller's balance like any other refund.
+async function refundRejectedOfferPayment(offerLinkId, order) {
+  const paymentIntent = String(order.orderId).startsWith('pi_') ? order.orderId : null;
+  if (!paymentIntent) {
+    console.error('offer payment rejected but has no PaymentIntent to refund', offerLinkId, order.orderId);
+    return null;
+  }
+  const refund = await stripe.refunds.create({
+    payment_intent: paymentIntent,
+    ...(isDirectSettlement(order.settlementMode) ? { reverse_transfer: true, refund_application_fee: true } : {}),
+    metadata: { orderId: order.orderId, offerLinkId: String(offerLinkId), initiatedBy: 'auction_offer_lapsed' }
+  }, { idempotencyKey: `offer_refund_${order.orderId}` });
+  await db.collection('orders').doc(order.orderId).set({
+    offerRejected: { offerLinkId: String(offerLinkId), refundId: refund.id, at: new Date().toISOString() },
+    fulfillmentStatus: 'not_applicable'
+  }, { merge: true });
+  return refund;
+}
+
+// Next distinct bidder below everyone already offered, still at/above reserve
+async function nextRunnerUp(link) {
+  const offered = new Set((link.auction.offers || []).map(o => o.email));
+  const reserve = link.auction.reservePrice_cents || 0;
+  const bidsSnap = await db.collection('links').doc(link.linkId).collection('bids')
+    .orderBy('amount_cents', 'desc').orderBy('createdAt', 'asc').limit(100).get();
+  for (const doc of bidsSnap.docs) {
+    const bid = doc.data();
+    if (bid.amount_cents < reserve) return null;
+    if (offered.has(bid.email)) continue;
+    return { email: bid.email, bidId: doc.id, amount_cents: bid.amount_cents };
+  }
+  return null;
+}
+
+// Lapse one unpaid offer and move down the line. Returns the new offer link, or null.
+async function lapseAuctionOffer(offerLinkId) {
+  const offerRef = db.collection('links').doc(String(offerLinkId));
+  let parentLinkId = null;
+  let rank = 0;
+  await db.runTransaction(async (tx) => {
+    const offerSnap = await tx.get(offerRef);
+    const offer = offerSnap.data()?.auctionOffer;
+    if (!offer || offer.status !== 'offered') return; // paid, or another worker got here first
+    const parentRef = db.collection('links').doc(offer.parentLinkId);
+    const parentSnap = await tx.get(parentRef);
+    const nowIso = new Date().toISOString();
+    tx.update(offerRef, { 'auctionOffer.status': 'lapsed', active: false });
+    tx.update(parentRef, {
+      'auction.offers': patchOffer(parentSnap.data()?.auction?.offers, offerLinkId, { status: 'lapsed', lapsedAt: nowIso })
+    });
+    parentLinkId = offer.parentLinkId;
+    rank = offer.rank;
+  });
+  if (!parentLinkId) return null;
+
+  const parentRef = db.collection('links').doc(parentLinkId);
+  const parent = (await parentRef.get()).data();
+  const maxRunnerUps = parent.auction.maxRunnerUps ?? AUCTION_RUNNER_UPS;
+  const next = rank - 1 < maxRunnerUps ? await nextRunnerUp(parent) : null;
+  if (!next) {
+    await parentRef.update({ 'auction.offerStatus': 'exhausted', 'auction.currentOfferLinkId': null });
+    return null;
+  }
+  return offerAuctionItem(parentLinkId, { ...next, rank: rank + 1 });
+}
+
+// Offers stay open through the checkout hold so a buyer mid-checkout isn't skipped; their
+// sessions expire with the hold, and a payment that still lands after a lapse is refunded
+async function runAuctionOfferSweep() {
+  const snap = await db.collection('links').where('auctionOffer.status', '==', 'offered').get();
+  const cutoff = Date.now() - CHECKOUT_HOLD_MINUTES * 60 * 1000;
+  let lapsed = 0;
+  for (const doc of snap.docs) {
+    if (Date.parse(doc.data().expiresAt) > cutoff) continue;
+    try {
+      await lapseAuctionOffer(doc.id);
+      lapsed++;
+    } catch (err) {
+      console.error('auction offer lapse err', doc.id, err);
+    }
+  }
+  return lapsed;
+}
+
+// Dutch: the first bid at (or above) the current price takes the item and closes the auction
+async function placeDutchBid(tx, lRef, link, bidRef, bidDoc, now) {
+  if (link.highestBid) throw new BidError('already sold', 409);
+  const price = dutchPrice(link.auction, now);
+  if (bidDoc.amount_cents < price) {
+    throw new BidError(`current price is ${price}`, 400, { currentPrice_cents: price });
+  }
+  // Charge the scheduled price even if the page showed a (stale) higher one
+  const taken = { ...bidDoc, amount_cents: price };
+  tx.set(bidRef, taken);
+  tx.update(lRef, {
+    highestBid: taken,
+    highestBidInitialized: true,
+    bidCount: admin.firestore.FieldValue.increment(1),
+    'auction.endsAt': now.toISOString(),
+    expiresAt: now.toISOString()
+  });
+  return { link, bidDoc: taken, previous: null, taken: true };
+}
+
+// Sealed: one bid per bidder, at least the starting price; highest + second are kept on the
+// link (never shown before close) so second-price settlement needs no extra query.
+async function placeSealedBid(tx, lRef, link, bidRef, bidDoc) {
+  const existing = await tx.get(bidRef);
+  if (existing.exists) throw new BidError('you already placed a sealed bid in this auction', 409);
+  const minRequired = link.auction.startingPrice_cents || 0;
+  if (bidDoc.amount_cents < minRequired) {
+    throw new BidError(`minimum bid is ${minRequired}`, 400, { minRequired_cents: minRequired });
+  }
+
+  let highest = link.highestBid || null;
+  let second = link.secondBid || null;
+  if (bidOutranks(bidDoc, highest)) {
+    second = highest;
+    highest = bidDoc;
+  } else if (bidOutranks(bidDoc, second)) {
+    second = bidDoc;
+  }
+
+  tx.set(bidRef, bidDoc);
+  tx.update(lRef, {
+    highestBid: highest,
+    secondBid: second,
+    highestBidInitialized: true,
+    bidCount: admin.firestore.FieldValue.increment(1)
+  });
+  return { link, bidDoc, previous: link.highestBid || null, endsAt: link.auction.endsAt, extended: false, sealed: true };
+}
+
+class BidError extends Error {
+  constructor(message, status = 400, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
 async function finalizeAuction(link) {
   if (!link?.auction?.enabled) return null;
   if (link.auction.status === 'finalized') return link;
@@ -1043,60 +2754,58 @@ async function finalizeAuction(link) {
   const ended = new Date(link.auction.endsAt) <= now;
   if (!ended) return link;
 
-  const highest = await getHighestBid(link.linkId);
-  const winner = highest ? { email: highest.email, bidId: highest.bidId, amount_cents: highest.amount_cents } : null;
-
-  // Persist finalization
-  await db.collection('links').doc(link.linkId).update({
-    'auction.status': 'finalized',
-    'auction.winner': winner || null,
-    active: false
+  // Flip to finalized in a transaction so concurrent callers (summary polls, bids) finalize once
+  const lRef = db.collection('links').doc(link.linkId);
+  let winner = null;
+  let highest = null;
+  let outcome = null;
+  const finalizedNow = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(lRef);
+    const current = snap.data();
+    if (current?.auction?.status === 'finalized') return false;
+
+    highest = current.highestBid || await getHighestBid(link.linkId);
+    const reserve = current.auction.reservePrice_cents || 0;
+    const reserveMet = !reserve || (highest?.amount_cents || 0) >= reserve;
+    // Below reserve there is no winner; the top bid is kept for the seller's reference.
+    // price_cents is what the winner pays (differs from the bid for second-price sealed auctions).
+    winner = highest && reserveMet
+      ? {
+          email: highest.email,
+          bidId: highest.bidId,
+          amount_cents: highest.amount_cents,
+          price_cents: auctionType(current.auction) === 'sealed' ? sealedPrice(current.auction, highest, current.secondBid) : highest.amount_cents
+        }
+      : null;
+    outcome = winner ? 'sold' : (highest ? 'reserve_not_met' : 'no_bids');
+
+    tx.update(lRef, {
+      'auction.status': 'finalized',
+      'auction.winner': winner || null,
+      'auction.reserveMet': reserveMet,
+      'auction.outcome': outcome,
+      'auction.finalizedAt': new Date().toISOString(),
+      active: false
+    });
+    return true;
   });
+  if (!finalizedNow) return (await lRef.get()).data();
 
-  // If winner exists, create a standard purchase link and email them
+  // Offer the item to the winner (runner-ups follow if the offer lapses unpaid)
   if (winner) {
     try {
-      const pSnap = await db.collection('products').doc(link.productId).get();
-      const product = pSnap.data();
-      const sSnap = await db.collection('sellers').doc(link.sellerId).get();
-      const seller = sSnap.data();
-
-      // Create winner-only purchase link valid for 48h
-      const winnerLinkId = nanoid(7).toUpperCase();
-      const expiresAt = new Date(Date.now() + 48 * 3600 * 1000).toISOString();
-      const winnerLinkDoc = {
-        linkId: winnerLinkId,
-        productId: link.productId,
-        sellerId: link.sellerId,
-        createdAt: new Date().toISOString(),
-        expiresAt,
-        // snapshot digital if any
-        digitalDownload: link.digitalDownload || product.digitalDownload || null,
-        hasDigital: Boolean((link.digitalDownload && (link.digitalDownload.storagePath || link.digitalDownload.contentUrl)) ||
-          (product.digitalDownload && (product.digitalDownload.storagePath || product.digitalDownload.contentUrl)))
-      };
-      await db.collection('links').doc(winnerLinkId).set(winnerLinkDoc);
-      const baseUrl = process.env.FRONTEND_BASE_URL || `http://localhost:${process.env.PORT || 4000}`;
-      const winnerPageUrl = `${baseUrl}/p/${winnerLinkId}${winnerLinkDoc.hasDigital ? '?digital=1' : ''}`;
-
-      // Email winner with payment link
-      const emailHtml = generateEmailTemplate({
-        appName: 'InstaPay',
-        title: 'You won the auction!',
-        message: `Congrats! You won the auction for <strong>${product.title}</strong> with a bid of $${(winner.amount_cents / 100).toFixed(2)}.`,
-        details: `<a href="${winnerPageUrl}" style="color:#16a34a;font-weight:600;">Complete your purchase</a><div style="margin-top:8px;">Link expires: ${new Date(expiresAt).toLocaleString()}</div>`
-      });
-      await resend.emails.send({
-        from: process.env.RESEND_FROM_EMAIL || 'no-reply@instapay.app',
-        to: winner.email,
-        subject: 'You won the auction!',
-        html: emailHtml
-      });
+      await offerAuctionItem(link.linkId, { ...winner, rank: 1 });
     } catch (e) {
       console.error('Failed to email auction winner:', e);
     }
   }
 
+  try {
+    await notifySellerAuctionClosed(link, { winner, outcome, highest });
+  } catch (e) {
+    console.error('Failed to email seller auction close:', e);
+  }
+
   const updated = await db.collection('links').doc(link.linkId).get();
   return updated.data();
 }
@@ -1106,55 +2815,348 @@ async function finalizeAuction(link) {
 /**
  * Place a bid
  * POST /api/bids
- * body: { linkId, email, amount_cents }
+ * body: { linkId, email, amount_cents, bidderToken }
+ * bidderToken comes from the bidder verification link (POST /api/bids/verify-request)
+ * dutch: a bid takes the item at the current price (amount_cents = the price shown, must be >= current)
+ * sealed: one hidden bid per bidder
  */
-app.post('/api/bids', async (req, res) => {
+app.post('/api/bids', idempotent('bids'), async (req, res) => {
   try {
-    const { linkId, email, amount_cents } = req.body;
+    const { linkId, email, amount_cents, bidderToken } = req.body;
     if (!linkId || !email || !Number.isInteger(amount_cents)) {
       return res.status(400).json({ error: 'linkId, email, amount_cents required' });
     }
 
-    const lRef = db.collection('links').doc(linkId);
-    const lSnap = await lRef.get();
-    if (!lSnap.exists) return res.status(404).json({ error: 'link not found' });
-    let link = lSnap.data();
+    if (!(await verifiedBidder(linkId, email, bidderToken))) {
+      return res.status(403).json({ error: 'BIDDER_NOT_VERIFIED', requiresEmailVerification: true });
+    }
 
-    if (!link.auction?.enabled) return res.status(400).json({ error: 'auction not enabled for this link' });
+    const lRef = db.collection('links').doc(linkId);
 
-    // Expiration check and finalize if needed
+    // Check + write against link.highestBid in one transaction so concurrent bids serialize:
+    // the loser is retried by Firestore and re-validated against the new highest.
+    // The arrival time is taken once, outside the callback: a retry must not make the bid later
+    // (losing a createdAt tie, or landing after endsAt).
     const now = new Date();
-    const ended = new Date(link.auction.endsAt) <= now;
-    if (ended) {
-      link = await finalizeAuction(link);
-      return res.status(400).json({ error: 'auction ended', auction: link.auction });
+    let result;
+    try {
+      result = await db.runTransaction(async (tx) => {
+        const lSnap = await tx.get(lRef);
+        if (!lSnap.exists) throw new BidError('link not found', 404);
+        const link = lSnap.data();
+        if (!link.auction?.enabled) throw new BidError('auction not enabled for this link');
+
+        if (link.auction.status === 'finalized' || new Date(link.auction.endsAt) <= now) {
+          throw new BidError('auction ended', 400, { ended: true });
+        }
+
+        const type = auctionType(link.auction);
+        // Sealed bids are keyed by bidder so each bidder gets exactly one
+        const bidRef = lRef.collection('bids').doc(type === 'sealed' ? bidderRef(linkId, email).id : nanoid(10));
+        const bidDoc = {
+          bidId: bidRef.id,
+          email: String(email).toLowerCase(),
+          amount_cents,
+          createdAt: now.toISOString()
+        };
+
+        if (type === 'dutch') return placeDutchBid(tx, lRef, link, bidRef, bidDoc, now);
+        if (type === 'sealed') return placeSealedBid(tx, lRef, link, bidRef, bidDoc);
+
+        let highest = link.highestBid || null;
+        if (!highest && !link.highestBidInitialized) {
+          // Pre-existing link: seed from the subcollection inside the transaction
+          const topSnap = await tx.get(lRef.collection('bids').orderBy('amount_cents', 'desc').orderBy('createdAt', 'asc').limit(1));
+          highest = topSnap.empty ? null : { bidId: topSnap.docs[0].id, ...topSnap.docs[0].data() };
+        }
+
+        const minRequired = highest
+          ? highest.amount_cents + (link.auction.minIncrement_cents ?? 100)
+          : (link.auction.startingPrice_cents || 0);
+        if (amount_cents < minRequired || !bidOutranks(bidDoc, highest)) {
+          throw new BidError(`minimum bid is ${Math.max(minRequired, (highest?.amount_cents || 0) + 1)}`, 400, {
+            minRequired_cents: minRequired,
+            highest_cents: highest?.amount_cents || 0
+          });
+        }
+
+        // Anti-sniping: late bids push the close out (expiresAt tracks endsAt for auction links)
+        const extendedEndsAt = softCloseExtension(link.auction, now);
+
+        tx.set(bidRef, bidDoc);
+        tx.update(lRef, {
+          highestBid: bidDoc,
+          highestBidInitialized: true,
+          bidCount: admin.firestore.FieldValue.increment(1),
+          ...(extendedEndsAt ? {
+            'auction.endsAt': extendedEndsAt,
+            'auction.extensions': admin.firestore.FieldValue.increment(1),
+            expiresAt: extendedEndsAt
+          } : {})
+        });
+
+        return {
+          link,
+          bidDoc,
+          previous: highest,
+          endsAt: extendedEndsAt || link.auction.endsAt,
+          extended: Boolean(extendedEndsAt),
+          reserveMet: publicAuction(link.auction, amount_cents).reserveMet
+        };
+      });
+    } catch (e) {
+      if (!(e instanceof BidError)) throw e;
+      if (e.extra.ended) {
+        // Finalize outside the transaction (it sends email)
+        const lSnap = await lRef.get();
+        const link = await finalizeAuction(lSnap.data());
+        return res.status(400).json({ error: e.message, auction: publicAuction(link.auction) });
+      }
+      return res.status(e.status).json({ error: e.message, ...e.extra });
     }
 
-    const highest = await getHighestBid(linkId);
-    const minRequired = highest
-      ? highest.amount_cents + (link.auction.minIncrement_cents || 100)
-      : (link.auction.startingPrice_cents || 0);
+    // Emails shouldn't hold up the bid response
+    notifyBidPlaced(result.link, { bid: result.bidDoc, previous: result.previous })
+      .catch(e => console.error('bid notification err', e));
+
+    if (result.taken) {
+      // Dutch: the taker won outright; finalize now and hand them their checkout link
+      const link = await finalizeAuction((await lRef.get()).data());
+      const offerLinkId = link.auction.currentOfferLinkId;
+      return res.json({
+        ok: true,
+        bid: result.bidDoc,
+        won: true,
+        offerUrl: offerLinkId ? `${baseUrl()}/p/${offerLinkId}` : null
+      });
+    }
 
-    if (amount_cents < minRequired) {
-      return res.status(400).json({ error: `minimum bid is ${minRequired}`, minRequired_cents: minRequired, highest_cents: highest?.amount_cents || 0 });
+    return res.json({
+      ok: true,
+      // Sealed: acknowledge without revealing standings
+      bid: result.bidDoc,
+      endsAt: result.endsAt,
+      extended: result.extended,
+      ...(result.sealed ? {} : { reserveMet: result.reserveMet })
+    });
+  } catch (err) {
+    console.error('place bid err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Each verify-request sends an email: cap it per address (inbox flooding) and per IP (spraying addresses)
+const BIDDER_VERIFY_WINDOW_MS = 60 * 60 * 1000;
+const bidderVerifyLimits = [
+  rateLimit({
+    scope: 'bidderVerify:email',
+    limit: Number(process.env.BIDDER_VERIFY_PER_EMAIL || 5),
+    windowMs: BIDDER_VERIFY_WINDOW_MS,
+    key: req => (typeof req.body?.email === 'string' ? req.body.email.toLowerCase().trim() : null)
+  }),
+  rateLimit({
+    scope: 'bidderVerify:ip',
+    limit: Number(process.env.BIDDER_VERIFY_PER_IP || 20),
+    windowMs: BIDDER_VERIFY_WINDOW_MS,
+    key: req => req.ip
+  })
+];
+
+/**
+ * Email a bidder a confirmation link (once per auction)
+ * POST /api/bids/verify-request
+ * body: { linkId, email }
+ * Rate-limited per email and per IP (429 + Retry-After).
+ */
+app.post('/api/bids/verify-request', ...bidderVerifyLimits, async (req, res) => {
+  try {
+    const { linkId } = req.body || {};
+    const email = typeof req.body?.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+    if (!linkId || !email.includes('@')) return res.status(400).json({ error: 'linkId and email required' });
+
+    const lSnap = await db.collection('links').doc(String(linkId)).get();
+    if (!lSnap.exists) return res.status(404).json({ error: 'link not found' });
+    const link = lSnap.data();
+    if (!link.auction?.enabled || link.auction.status === 'finalized') {
+      return res.status(400).json({ error: 'auction not open for bidding' });
     }
 
-    const bidId = nanoid(10);
-    const bidDoc = {
-      bidId,
-      email: String(email).toLowerCase(),
-      amount_cents,
+    const token = nanoid(48);
+    await db.collection('emailTokens').doc(token).set({
+      token,
+      purpose: 'bidder',
+      email,
+      linkId: String(linkId),
+      expiresAt: new Date(Date.now() + 30 * 60 * 1000).toISOString(),
+      used: false,
       createdAt: new Date().toISOString()
-    };
+    });
+
+    const pSnap = await db.collection('products').doc(link.productId).get();
+    const verifyUrl = `${baseUrl()}/api/bids/verify?token=${encodeURIComponent(token)}`;
+    await sendAuctionEmail(email, 'Confirm your email to bid', {
+      title: 'Confirm your email to bid',
+      message: `Confirm this address to bid on <strong>${pSnap.data()?.title || 'this item'}</strong>. You only need to do this once per auction.`,
+      details: `<a href="${verifyUrl}" style="display:inline-block;padding:10px 16px;background:#16a34a;color:#fff;border-radius:6px;text-decoration:none;">Confirm and bid</a>
+                <div style="margin-top:8px;font-size:12px;color:#6b7280;">This link expires in 30 minutes.</div>`
+    });
 
-    await lRef.collection('bids').doc(bidId).set(bidDoc);
-    return res.json({ ok: true, bid: bidDoc });
+    return res.json({ ok: true, emailed: true });
   } catch (err) {
-    console.error('place bid err', err);
+    console.error('bidder verify-request err', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// Confirm a bidder's email, then send them back to the auction page with their bidder token
+app.get('/api/bids/verify', async (req, res) => {
+  try {
+    const { token } = req.query;
+    if (!token) return res.status(400).send('Missing token');
+
+    const tRef = db.collection('emailTokens').doc(String(token));
+    const tSnap = await tRef.get();
+    if (!tSnap.exists || tSnap.data().purpose !== 'bidder') return res.status(400).send('Invalid token');
+
+    const t = tSnap.data();
+    if (t.used) return res.status(400).send('Token already used');
+    if (new Date(t.expiresAt).getTime() < Date.now()) return res.status(400).send('Token expired');
+
+    const bidderToken = nanoid(32);
+    const bRef = bidderRef(t.linkId, t.email);
+    const bSnap = await bRef.get();
+    await tRef.update({ used: true, usedAt: new Date().toISOString() });
+    await bRef.set({
+      email: t.email,
+      linkId: t.linkId,
+      verified: true,
+      verifiedAt: new Date().toISOString(),
+      // A re-verification (new device) replaces the token; outbid preference is kept
+      tokenHash: sha256Hex(bidderToken),
+      notifyOutbid: bSnap.exists ? bSnap.data().notifyOutbid !== false : true,
+      unsubscribeToken: bSnap.data()?.unsubscribeToken || nanoid(24)
+    }, { merge: true });
+
+    return res.redirect(302, `${baseUrl()}/p/${encodeURIComponent(t.linkId)}?bidder=${encodeURIComponent(bidderToken)}`);
+  } catch (err) {
+    console.error('bidder verify err', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// One-click opt-out of outbid emails for a single auction
+app.get('/api/bids/:linkId/unsubscribe', async (req, res) => {
+  try {
+    const { b, t } = req.query;
+    if (!b || !t) return res.status(400).send('Invalid link');
+    const bRef = db.collection('links').doc(String(req.params.linkId)).collection('bidders').doc(String(b));
+    const bSnap = await bRef.get();
+    if (!bSnap.exists || bSnap.data().unsubscribeToken !== String(t)) return res.status(400).send('Invalid link');
+
+    await bRef.update({ notifyOutbid: false, unsubscribedAt: new Date().toISOString() });
+    res.send('You will no longer receive outbid emails for this auction.');
+  } catch (err) {
+    console.error('bidder unsubscribe err', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// --- Live auction stream ---
+// One Firestore listener per auction link, fanned out to every open page.
+// The link doc carries everything bidders see (highestBid, endsAt, status), so bids,
+// soft-close extensions and finalization all arrive as a single snapshot.
+const auctionStreams = new Map(); // linkId -> { clients: Set<res>, unsubscribe, last }
+const SSE_HEARTBEAT_MS = 25 * 1000; // under Heroku's 55s idle timeout
+
+// What bidders may see of an auction (shared by /summary and /stream).
+// Sealed auctions reveal nothing about bids but their count until finalized.
+function auctionPublicState(link, highest = link.highestBid || null) {
+  const auction = publicAuction(link.auction, highest?.amount_cents || 0);
+  const type = auctionType(link.auction);
+  const hidden = type === 'sealed' && link.auction.status !== 'finalized';
+  return {
+    auction,
+    endsAt: link.auction.endsAt,
+    extended: (link.auction.extensions || 0) > 0,
+    reserveMet: hidden ? null : auction.reserveMet,
+    highest_cents: hidden ? 0 : highest?.amount_cents || 0,
+    highest_email_masked: !hidden && highest ? highest.email.replace(/(.{2}).+(@.+)/, '$1****$2') : null,
+    ...(type === 'dutch' && link.auction.status !== 'finalized' ? { currentPrice_cents: dutchPrice(link.auction) } : {}),
+    count: link.bidCount ?? null,
+    serverTime: new Date().toISOString()
+  };
+}
+
+function sendSse(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function subscribeAuctionStream(linkId, res) {
+  let stream = auctionStreams.get(linkId);
+  if (!stream) {
+    stream = { clients: new Set(), unsubscribe: null, last: null };
+    auctionStreams.set(linkId, stream);
+    stream.unsubscribe = db.collection('links').doc(linkId).onSnapshot(
+      (snap) => {
+        if (!snap.exists || !snap.data().auction) return;
+        stream.last = auctionPublicState(snap.data());
+        for (const client of stream.clients) sendSse(client, 'auction', stream.last);
+      },
+      (err) => {
+        // Listener died: close the pages so they reconnect (or fall back to polling)
+        console.error('auction stream listener err', linkId, err);
+        for (const client of stream.clients) client.end();
+        auctionStreams.delete(linkId);
+      }
+    );
+  } else if (stream.last) {
+    sendSse(res, 'auction', stream.last);
+  }
+  stream.clients.add(res);
+
+  return () => {
+    stream.clients.delete(res);
+    if (!stream.clients.size && auctionStreams.get(linkId) === stream) {
+      stream.unsubscribe();
+      auctionStreams.delete(linkId);
+    }
+  };
+}
+
+/**
+ * Live auction updates (Server-Sent Events)
+ * GET /api/bids/:linkId/stream
+ * event "auction": same shape as /api/bids/:linkId/summary (minus recent bids)
+ */
+app.get('/api/bids/:linkId/stream', async (req, res) => {
+  try {
+    const linkId = String(req.params.linkId);
+    const lSnap = await db.collection('links').doc(linkId).get();
+    if (!lSnap.exists) return res.status(404).json({ error: 'link not found' });
+    if (!lSnap.data().auction?.enabled) return res.status(400).json({ error: 'auction not enabled for this link' });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = subscribeAuctionStream(linkId, res);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (err) {
+    console.error('auction stream err', err);
+    if (!res.headersSent) res.status(500).json({ error: err.message });
+    else res.end();
+  }
+});
+
 /**
  * Get auction summary
  * GET /api/bids/:linkId/summary
@@ -1176,14 +3178,14 @@ app.get('/api/bids/:linkId/summary', async (req, res) => {
     }
 
     // Count + highest
-    const bidsSnap = await lRef.collection('bids').orderBy('createdAt', 'desc').limit(10).get();
-    const bids = bidsSnap.docs.map(d => d.data());
-    const highest = await getHighestBid(linkId);
+    const state = auctionPublicState(link, await getHighestBid(linkId, link));
+    const sealedOpen = auctionType(link.auction) === 'sealed' && link.auction.status !== 'finalized';
+    const bids = sealedOpen
+      ? []
+      : (await lRef.collection('bids').orderBy('createdAt', 'desc').limit(10).get()).docs.map(d => d.data());
 
     return res.json({
-      auction: link.auction,
-      highest_cents: highest?.amount_cents || 0,
-      highest_email_masked: highest ? (highest.email.replace(/(.{2}).+(@.+)/, '$1****$2')) : null,
+      ...state,
       count: (await lRef.collection('bids').count().get()).data().count || bids.length,
       recent: bids
     });
@@ -1193,6 +3195,341 @@ app.get('/api/bids/:linkId/summary', async (req, res) => {
   }
 });
 
+// --- Coupons ---
+// coupons/{sellerId}_{CODE}: { couponId, sellerId, code, type: 'percent'|'amount', percentOff | amountOff_cents,
+//   currency (amount coupons), maxRedemptions, redemptions, held, expiresAt, productIds, linkIds, active }
+// Like stock, a redemption is held while its Checkout Session is open (`couponRedemptions`),
+// then counted on payment or released when the session expires.
+const COUPON_CODE_RE = /^[A-Z0-9_-]{3,32}$/;
+
+class CouponError extends Error {
+  constructor(message, code = 'COUPON_INVALID') {
+    super(message);
+    this.code = code;
+  }
+}
+
+function normalizeCouponCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function couponRef(sellerId, code) {
+  return db.collection('coupons').doc(`${sellerId}_${normalizeCouponCode(code)}`);
+}
+
+// Validate a create/update body; returns the fields to write or { error }
+// partial (PATCH): only the fields sent are validated; a discount change without `type` is
+// checked against the stored coupon (`existing`) and keeps its other discount fields.
+function normalizeCouponInput(body, { partial = false, existing = null } = {}) {
+  const out = {};
+  const discountKeys = ['type', 'percentOff', 'amountOff_cents', 'currency'];
+  if (!partial || discountKeys.some(k => body[k] !== undefined)) {
+    if (partial && body.type === undefined) {
+      const wrongKeys = existing?.type === 'percent' ? ['amountOff_cents', 'currency'] : ['percentOff'];
+      const sent = wrongKeys.filter(k => body[k] !== undefined);
+      if (sent.length) return { error: `${sent.join(', ')} doesn't apply to a ${existing?.type || 'amount'} coupon; send type to change it` };
+      body = {
+        type: existing?.type,
+        percentOff: existing?.percentOff,
+        amountOff_cents: existing?.amountOff_cents,
+        currency: existing?.currency,
+        ...body
+      };
+    }
+    if (!['percent', 'amount'].includes(body.type)) return { error: "type must be 'percent' or 'amount'" };
+    out.type = body.type;
+    if (body.type === 'percent') {
+      const pct = Number(body.percentOff);
+      if (!Number.isFinite(pct) || pct <= 0 || pct > 100) return { error: 'percentOff must be between 0 and 100' };
+      out.percentOff = pct;
+      out.amountOff_cents = null;
+    } else {
+      if (!Number.isInteger(body.amountOff_cents) || body.amountOff_cents <= 0) {
+        return { error: 'amountOff_cents must be a positive integer' };
+      }
+      out.amountOff_cents = body.amountOff_cents;
+      out.percentOff = null;
+      if (body.currency != null && !isValidCurrency(body.currency)) return { error: 'currency must be a 3-letter ISO 4217 code' };
+      out.currency = String(body.currency || 'usd').toLowerCase();
+    }
+  }
+  if (body.maxRedemptions !== undefined) {
+    if (body.maxRedemptions !== null && (!Number.isInteger(body.maxRedemptions) || body.maxRedemptions < 1)) {
+      return { error: 'maxRedemptions must be a positive integer or null' };
+    }
+    out.maxRedemptions = body.maxRedemptions;
+  }
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt !== null && isNaN(Date.parse(body.expiresAt))) return { error: 'expiresAt must be an ISO date or null' };
+    out.expiresAt = body.expiresAt ? new Date(body.expiresAt).toISOString() : null;
+  }
+  for (const key of ['productIds', 'linkIds']) {
+    if (body[key] === undefined) continue;
+    if (body[key] !== null && !Array.isArray(body[key])) return { error: `${key} must be an array or null` };
+    out[key] = (body[key] || []).map(String);
+  }
+  if (body.active !== undefined) out.active = Boolean(body.active);
+  return out;
+}
+
+// Discount for one unit, never taking the price below the currency's minimum charge.
+// Applied per unit of every in-scope line, so an amount coupon takes amountOff off each unit.
+function couponDiscount(coupon, amount_cents, currency) {
+  const off = coupon.type === 'percent'
+    ? Math.round((amount_cents * coupon.percentOff) / 100)
+    : coupon.amountOff_cents;
+  return roundMinorUnits(Math.min(off, amount_cents - minimumChargeCents(currency)), currency);
+}
+
+// Look up and validate a code for a checkout's lines ([{ productId, quantity, unit_cents }]);
+// returns { coupon, unitDiscounts (per line), discount_cents (total) }
+async function resolveCoupon(code, { sellerId, linkId, lines, currency }) {
+  const normalized = normalizeCouponCode(code);
+  if (!COUPON_CODE_RE.test(normalized)) throw new CouponError('Invalid discount code.');
+  const snap = await couponRef(sellerId, normalized).get();
+  if (!snap.exists) throw new CouponError('Invalid discount code.');
+  const coupon = snap.data();
+  if (coupon.active === false) throw new CouponError('This discount code is no longer active.');
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= new Date()) throw new CouponError('This discount code has expired.', 'COUPON_EXPIRED');
+  if (coupon.linkIds?.length && !coupon.linkIds.includes(String(linkId))) {
+    throw new CouponError('This discount code does not apply to this item.');
+  }
+  if (coupon.type === 'amount' && coupon.currency !== String(currency || 'usd').toLowerCase()) {
+    throw new CouponError('This discount code does not apply to this currency.');
+  }
+  if (coupon.maxRedemptions && (coupon.redemptions || 0) + (coupon.held || 0) >= coupon.maxRedemptions) {
+    throw new CouponError('This discount code has been fully redeemed.', 'COUPON_EXHAUSTED');
+  }
+  const unitDiscounts = lines.map(l => {
+    if (coupon.productIds?.length && !coupon.productIds.includes(String(l.productId))) return 0;
+    return Math.max(0, couponDiscount(coupon, l.unit_cents, currency));
+  });
+  const discount_cents = unitDiscounts.reduce((a, d, i) => a + d * lines[i].quantity, 0);
+  if (discount_cents <= 0) throw new CouponError('This discount code does not apply to this item.');
+  return { coupon, unitDiscounts, discount_cents };
+}
+
+// Hold one redemption for an open checkout (re-checks the cap inside the transaction)
+async function holdCouponRedemption(coupon, context = {}) {
+  const cRef = db.collection('coupons').doc(coupon.couponId);
+  const ref = db.collection('couponRedemptions').doc();
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(cRef);
+    if (!snap.exists || snap.data().active === false) throw new CouponError('This discount code is no longer active.');
+    const c = snap.data();
+    if (c.maxRedemptions && (c.redemptions || 0) + (c.held || 0) >= c.maxRedemptions) {
+      throw new CouponError('This discount code has been fully redeemed.', 'COUPON_EXHAUSTED');
+    }
+    tx.update(cRef, { held: (c.held || 0) + 1 });
+    tx.set(ref, {
+      redemptionId: ref.id,
+      couponId: coupon.couponId,
+      code: coupon.code,
+      sellerId: coupon.sellerId,
+      status: 'held',
+      createdAt: new Date().toISOString(),
+      ...context
+    });
+  });
+  return ref.id;
+}
+
+// 'redeemed' counts the use, 'released' frees it; no-op once settled
+async function settleCouponRedemption(redemptionId, outcome, extra = {}) {
+  if (!redemptionId) return false;
+  const ref = db.collection('couponRedemptions').doc(String(redemptionId));
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.data().status !== 'held') return false;
+    const cRef = db.collection('coupons').doc(snap.data().couponId);
+    const cSnap = await tx.get(cRef);
+    if (cSnap.exists) {
+      const c = cSnap.data();
+      tx.update(cRef, {
+        held: Math.max(0, (c.held || 0) - 1),
+        ...(outcome === 'redeemed' ? { redemptions: (c.redemptions || 0) + 1 } : {})
+      });
+    }
+    tx.update(ref, { status: outcome, settledAt: new Date().toISOString(), ...extra });
+    return true;
+  });
+}
+
+// Checkout metadata -> coupon snapshot stored on orders / ledger entries
+function couponFromMeta(meta = {}) {
+  if (!meta.couponCode) return null;
+  return {
+    couponId: meta.couponId || null,
+    code: meta.couponCode,
+    redemptionId: meta.couponRedemptionId || null,
+    discount_cents: Number(meta.discount_cents) || 0,
+    subtotal_cents: Number(meta.subtotal_cents) || null
+  };
+}
+
+// Fees are fixed at checkout (that's what the application fee was built from) and carried in
+// metadata, so a schedule change before the webhook can't move them. Subscriptions carry the
+// percentage instead, applied to each invoice. Sessions from before that fall back to `schedule`.
+function feesFromMeta(meta = {}, gross_cents, currency, schedule) {
+  const gross = Math.max(0, Math.round(gross_cents || 0));
+  const cur = normalizeCurrency(currency);
+  let fee;
+  if (meta.feePercent != null) fee = roundMinorUnits(Math.round((gross * Number(meta.feePercent)) / 100), cur);
+  else if (meta.fee_cents != null) fee = Number(meta.fee_cents);
+  else return computeFees(gross, schedule, cur);
+  fee = Math.min(gross, fee);
+  // Keep the checkout's platform/processing split
+  const quoted = Number(meta.fee_cents) || 0;
+  const platform = quoted ? Math.min(fee, Math.round((fee * (Number(meta.platformFee_cents) || 0)) / quoted)) : 0;
+  return {
+    currency: cur,
+    gross_cents: gross,
+    platformFee_cents: platform,
+    processingFee_cents: fee - platform,
+    fee_cents: fee,
+    net_cents: gross - fee
+  };
+}
+
+function publicCoupon(coupon) {
+  const { held, ...rest } = coupon;
+  return { ...rest, held: held || 0, redemptions: coupon.redemptions || 0 };
+}
+
+/**
+ * List coupons
+ * GET /api/sellers/:sellerId/coupons
+ */
+app.get('/api/sellers/:sellerId/coupons', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
+  try {
+    const snap = await db.collection('coupons').where('sellerId', '==', req.params.sellerId).get();
+    const coupons = snap.docs
+      .map(d => publicCoupon(d.data()))
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    res.json({ coupons });
+  } catch (err) {
+    console.error('list coupons err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Create coupon
+ * POST /api/sellers/:sellerId/coupons
+ * body: { code, type: 'percent'|'amount', percentOff?, amountOff_cents?, currency?,
+ *         maxRedemptions?, expiresAt?, productIds?, linkIds? }
+ */
+app.post('/api/sellers/:sellerId/coupons', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
+  try {
+    const { sellerId } = req.params;
+    const code = normalizeCouponCode(req.body.code);
+    if (!COUPON_CODE_RE.test(code)) {
+      return res.status(400).json({ error: 'code must be 3-32 characters: letters, digits, - or _' });
+    }
+    const fields = normalizeCouponInput(req.body);
+    if (fields.error) return res.status(400).json({ error: fields.error });
+
+    const ref = couponRef(sellerId, code);
+    const coupon = {
+      couponId: ref.id,
+      sellerId,
+      code,
+      maxRedemptions: null,
+      expiresAt: null,
+      productIds: [],
+      linkIds: [],
+      active: true,
+      ...fields,
+      redemptions: 0,
+      held: 0,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    try {
+      await ref.create(coupon);
+    } catch (e) {
+      if (e.code === 6) return res.status(409).json({ error: 'A coupon with this code already exists' });
+      throw e;
+    }
+    res.json({ coupon: publicCoupon(coupon) });
+  } catch (err) {
+    console.error('create coupon err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Update coupon (code and redemption counts are immutable)
+ * PATCH /api/sellers/:sellerId/coupons/:code
+ * body: any of { type, percentOff, amountOff_cents, currency, maxRedemptions, expiresAt, productIds, linkIds, active }
+ */
+app.patch('/api/sellers/:sellerId/coupons/:code', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
+  try {
+    const ref = couponRef(req.params.sellerId, req.params.code);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ error: 'coupon not found' });
+    const fields = normalizeCouponInput(req.body || {}, { partial: true, existing: snap.data() });
+    if (fields.error) return res.status(400).json({ error: fields.error });
+    await ref.update({ ...fields, updatedAt: new Date().toISOString() });
+    res.json({ coupon: publicCoupon((await ref.get()).data()) });
+  } catch (err) {
+    console.error('update coupon err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Delete coupon (past orders keep their redemption snapshot)
+ * DELETE /api/sellers/:sellerId/coupons/:code
+ */
+app.delete('/api/sellers/:sellerId/coupons/:code', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
+  try {
+    const ref = couponRef(req.params.sellerId, req.params.code);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ error: 'coupon not found' });
+    await ref.delete();
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('delete coupon err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Preview a discount code on a payment page (checkout re-validates)
+ * POST /api/coupons/validate
+ * body: { linkId, code, quantity? }
+ */
+app.post('/api/coupons/validate', async (req, res) => {
+  try {
+    const { linkId, code } = req.body;
+    if (!linkId || !code) return res.status(400).json({ error: 'linkId and code required' });
+    const linkSnap = await db.collection('links').doc(String(linkId)).get();
+    if (!linkSnap.exists) return res.status(404).json({ error: 'link not found' });
+    const link = linkSnap.data();
+    if (link.auction?.enabled || link.auctionOffer) {
+      return res.status(400).json({ error: 'COUPON_INVALID', message: 'Discount codes do not apply to auctions.' });
+    }
+    const qty = checkoutQuantity(link, req.body.quantity);
+    if (qty.error) return res.status(400).json({ error: qty.error });
+    const lines = await loadLinkLines(link, qty.quantity);
+    if (lines.some(l => !l.product)) return res.status(404).json({ error: 'product not found' });
+    const priced = lines.map(l => ({ productId: l.productId, quantity: l.quantity, unit_cents: l.product.price_cents || 0 }));
+    const subtotal_cents = priced.reduce((a, l) => a + l.unit_cents * l.quantity, 0);
+    const { coupon, discount_cents } = await resolveCoupon(code, {
+      sellerId: link.sellerId || lines[0].product.sellerId,
+      linkId,
+      lines: priced,
+      currency: lines[0].product.currency
+    });
+    res.json({ valid: true, code: coupon.code, discount_cents, amount_cents: subtotal_cents - discount_cents });
+  } catch (err) {
+    if (err instanceof CouponError) return res.status(400).json({ error: err.code, message: err.message });
+    console.error('validate coupon err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * Payment page (server-rendered)
  * GET /p/:linkId
@@ -1213,9 +3550,42 @@ app.get('/p/:linkId', async (req, res) => {
       buttonColor: '#2563eb',
       textColor: '#0f172a'
     };
-    product.price_display = (product.price_cents ? product.price_cents : 0) > 0
-      ? (product.price_cents / 100).toFixed(2)
-      : (link.auction?.startingPrice_cents ? (link.auction.startingPrice_cents / 100).toFixed(2) : '0.00');
+    // Prices render in the product's own currency (zero-decimal ones like JPY have no cents)
+    const cur = normalizeCurrency(product.currency);
+    const digits = minorUnitDigits(cur);
+    const currency = { code: cur.toUpperCase(), symbol: currencySymbol(cur), digits, step: (1 / 10 ** digits).toFixed(digits) };
+    let unit_cents = (product.price_cents ? product.price_cents : 0) > 0
+      ? product.price_cents
+      : (link.auction?.startingPrice_cents || 0);
+    if (link.auctionOffer) unit_cents = link.auctionOffer.amount_cents;
+    if (auctionType(link.auction) === 'dutch' && link.auction.status !== 'finalized') {
+      unit_cents = dutchPrice(link.auction);
+    }
+    const kind = link.auction?.enabled ? auctionType(link.auction) : null;
+    const auctionView = kind ? { type: kind, [kind]: true } : null;
+
+    // Bundles list every product and price one bundle; quantity scales it on the page
+    const lines = link.items?.length ? await loadLinkLines(link) : [{ productId: link.productId, product, quantity: 1 }];
+    if (lines.some(l => !l.product)) return res.status(404).send('Product not found');
+    const bundleItems = link.items?.length
+      ? lines.map(l => ({ title: l.product.title, quantity: l.quantity, price_display: formatAmount(l.product.price_cents * l.quantity, cur) }))
+      : null;
+    if (bundleItems) {
+      product.title = link.title || lines.map(l => l.product.title).join(' + ');
+      unit_cents = lines.reduce((a, l) => a + l.product.price_cents * l.quantity, 0);
+    }
+    // Pay what you want: start the page at the minimum; tips add on top of the list price
+    const pwyw = link.payWhatYouWant
+      ? {
+          minimum_cents: link.payWhatYouWant.minimum_cents,
+          minimum_display: formatAmount(link.payWhatYouWant.minimum_cents, cur),
+          suggested: link.payWhatYouWant.suggested_cents.map(c => ({ cents: c, display: formatAmount(c, cur) }))
+        }
+      : null;
+    if (pwyw) unit_cents = pwyw.minimum_cents;
+    product.price_display = formatAmount(unit_cents, cur);
+    const tips = link.tips?.enabled ? { presets: link.tips.presets_percent } : null;
+    const pricing = { unit_cents };
 
     let hasDigital = Boolean(
       (link.digitalDownload && (link.digitalDownload.storagePath || link.digitalDownload.contentUrl)) ||
@@ -1239,8 +3609,26 @@ app.get('/p/:linkId', async (req, res) => {
       privacyUrl: `${publicBase}/privacy`
     };
 
+    // Units held by open checkouts count as unavailable
+    const minQty = link.quantity?.min || 1;
+    const soldOut = lines.some(l => availableInventory(l.product) < l.quantity * minQty);
+
+    // Only show the code box when the seller actually has a live coupon
+    let couponsEnabled = false;
+    if (!link.auction?.enabled && !link.auctionOffer && !link.payWhatYouWant && !soldOut) {
+      const cSnap = await db.collection('coupons')
+        .where('sellerId', '==', link.sellerId || product.sellerId)
+        .where('active', '==', true)
+        .limit(1)
+        .get();
+      couponsEnabled = !cSnap.empty;
+    }
+
     const template = fs.readFileSync(path.join(__dirname, 'templates', 'payment_page.mustache'), 'utf8');
-    const html = mustache.render(template, { product, link, hasDigital, brand, legal });
+    const html = mustache.render(template, {
+      product, link, hasDigital, brand, legal, soldOut, auctionView, couponsEnabled, bundleItems, hasBundle: Boolean(bundleItems), pricing,
+      pwyw, tips, currency
+    });
     res.setHeader('Content-Type', 'text/html');
     res.send(html);
   } catch (err) {
@@ -1249,7 +3637,7 @@ app.get('/p/:linkId', async (req, res) => {
   }
 });
 
-app.post('/api/create-checkout-session', async (req, res) => {
+app.post('/api/create-checkout-session', idempotent('checkout'), async (req, res) => {
   try {
     const { linkId } = req.body;
     if (!linkId) return res.status(400).send({ error: 'linkId required' });
@@ -1261,14 +3649,33 @@ app.post('/api/create-checkout-session', async (req, res) => {
     if (link.expiresAt && new Date(link.expiresAt) <= new Date()) {
       return res.status(400).json({ error: 'This link has expired.' });
     }
+    if (link.active === false && !link.auction?.enabled) {
+      return res.status(400).json({ error: 'This link is no longer active.' });
+    }
 
-    const pSnap = await db.collection('products').doc(link.productId).get();
-    if (!pSnap.exists) return res.status(404).send({ error: 'product not found' });
-    const product = pSnap.data();
+    // Buyer-chosen quantity only where the link allows it; a bundle sells all its products together
+    const qty = checkoutQuantity(link, req.body.quantity);
+    if (qty.error) return res.status(400).json({ error: qty.error });
+    const lines = await loadLinkLines(link, qty.quantity);
+    if (lines.some(l => !l.product)) return res.status(404).send({ error: 'product not found' });
+    const product = lines[0].product;
 
     if (link.auction?.enabled && link.auction.status !== 'finalized') {
       return res.status(400).json({ error: 'Auction is active; checkout will be available after the bid closes.' });
     }
+    if (link.auction?.enabled) {
+      // The winner (or runner-up) buys through their own emailed offer link
+      return res.status(400).json({ error: 'This auction has closed. The winning bidder has been emailed a checkout link.' });
+    }
+    if (link.auctionOffer && link.auctionOffer.status !== 'offered') {
+      return res.status(400).json({ error: 'This offer is no longer available.' });
+    }
+    if (link.restrictedToEmail) {
+      const email = typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+      if (email !== link.restrictedToEmail) {
+        return res.status(403).json({ error: 'EMAIL_MISMATCH', message: 'This checkout link is reserved for the winning bidder.' });
+      }
+    }
 
     const sellerId = link.sellerId || product.sellerId;
     if (!sellerId) return res.status(400).json({ error: 'sellerId could not be derived from link or product' });
@@ -1281,51 +3688,203 @@ app.post('/api/create-checkout-session', async (req, res) => {
       return res.status(400).json({ error: 'seller missing Stripe account' });
     }
 
-    let unitAmount = product.price_cents || null;
-    if (link.auction?.enabled && link.auction.status === 'finalized') {
-      const highest = await db.collection('links').doc(linkId).collection('bids')
-        .orderBy('amount_cents', 'desc').limit(1).get();
-      const top = highest.empty ? null : highest.docs[0].data();
-      if (!top?.amount_cents) return res.status(400).json({ error: 'No winning bid found for finalized auction.' });
-      unitAmount = top.amount_cents;
+    // Pay what you want: the buyer's amount replaces the list price
+    let chosenPrice_cents = null;
+    if (link.payWhatYouWant) {
+      chosenPrice_cents = Number(req.body.amount_cents);
+      if (Number.isInteger(chosenPrice_cents)) chosenPrice_cents = roundMinorUnits(chosenPrice_cents, product.currency);
+      const { minimum_cents } = link.payWhatYouWant;
+      if (!Number.isInteger(chosenPrice_cents) || chosenPrice_cents < minimum_cents || chosenPrice_cents > MAX_BUYER_AMOUNT_CENTS) {
+        return res.status(400).json({ error: 'AMOUNT_INVALID', message: `Enter an amount of at least ${fmtMoney(minimum_cents, product.currency)}.` });
+      }
+    }
+
+    // Optional tip, only where the seller turned tips on
+    let tip_cents = 0;
+    if (req.body.tip_cents != null && Number(req.body.tip_cents) !== 0) {
+      if (!link.tips?.enabled) return res.status(400).json({ error: 'TIP_NOT_ALLOWED', message: 'This link does not accept tips.' });
+      tip_cents = Number(req.body.tip_cents);
+      if (!Number.isInteger(tip_cents) || tip_cents < 0 || tip_cents > MAX_BUYER_AMOUNT_CENTS) {
+        return res.status(400).json({ error: 'TIP_INVALID', message: 'Tip amount is invalid.' });
+      }
+      tip_cents = roundMinorUnits(tip_cents, product.currency);
     }
-    if (!Number.isInteger(unitAmount) || unitAmount <= 0) {
+
+    // Auction offers sell at the offer price: the winning bid, the dutch price taken,
+    // the second price for second-price sealed auctions, or a runner-up's own bid
+    // (3-decimal currencies are rounded to the multiples of 10 Stripe accepts)
+    const priced = lines.map((l, idx) => {
+      const unit_cents = idx === 0 && link.auctionOffer
+        ? link.auctionOffer.amount_cents
+        : idx === 0 && chosenPrice_cents != null ? chosenPrice_cents : (l.product.price_cents || null);
+      return { ...l, unit_cents: Number.isInteger(unit_cents) ? roundMinorUnits(unit_cents, product.currency) : unit_cents };
+    });
+    if (priced.some(l => !Number.isInteger(l.unit_cents) || l.unit_cents <= 0)) {
       return res.status(400).json({ error: 'Price is missing or invalid for checkout.' });
     }
 
+    // Discount code: validated here, never trusted from the page
+    const couponCode = typeof req.body.couponCode === 'string' ? req.body.couponCode.trim() : '';
+    let discount = null;
+    if (couponCode) {
+      if (link.auctionOffer) {
+        return res.status(400).json({ error: 'COUPON_INVALID', message: 'Discount codes do not apply to auctions.' });
+      }
+      if (link.payWhatYouWant) {
+        return res.status(400).json({ error: 'COUPON_INVALID', message: 'Discount codes do not apply when you name your own price.' });
+      }
+      try {
+        discount = await resolveCoupon(couponCode, {
+          sellerId,
+          linkId,
+          lines: priced,
+          currency: product.currency
+        });
+      } catch (e) {
+        if (e instanceof CouponError) return res.status(400).json({ error: e.code, message: e.message });
+        throw e;
+      }
+    }
+    const subtotal_cents = priced.reduce((a, l) => a + l.unit_cents * l.quantity, 0);
+    if (discount) priced.forEach((l, idx) => { l.unit_cents -= discount.unitDiscounts[idx]; });
+    const total_cents = priced.reduce((a, l) => a + l.unit_cents * l.quantity, 0) + tip_cents;
+
+    // Hold stock for the life of the Checkout Session
+    let reservation = null;
+    try {
+      reservation = await reserveInventory(priced.map(l => ({ productId: l.productId, quantity: l.quantity })), { linkId, sellerId });
+    } catch (e) {
+      if (e.code === 'SOLD_OUT') return res.status(409).json({ error: 'SOLD_OUT', message: e.message });
+      throw e;
+    }
+
+    let couponRedemptionId = null;
+    if (discount) {
+      try {
+        couponRedemptionId = await holdCouponRedemption(discount.coupon, { linkId, discount_cents: discount.discount_cents });
+      } catch (e) {
+        if (reservation) await settleInventoryReservation(reservation.reservationId, 'released');
+        if (e instanceof CouponError) return res.status(400).json({ error: e.code, message: e.message });
+        throw e;
+      }
+    }
+
     const hasDigital = Boolean(
       (link.digitalDownload && (link.digitalDownload.storagePath || link.digitalDownload.contentUrl)) ||
-      (product.digitalDownload && (product.digitalDownload.storagePath || product.digitalDownload.contentUrl))
+      priced.some(l => l.product.digitalDownload && (l.product.digitalDownload.storagePath || l.product.digitalDownload.contentUrl))
     );
 
     const origin = process.env.FRONTEND_BASE_URL || 'http://localhost:3000';
     const successUrl = `${origin}/success?session_id={CHECKOUT_SESSION_ID}${hasDigital ? '&digital=1' : ''}`;
 
-    // IMPORTANT: No transfer_data, no application_fee_amount -> funds land in platform account.
+    const settlementMode = sellerSettlementMode(seller);
+    // Subscriptions renew on Stripe's schedule; each paid invoice is credited by the webhook
+    const recurring = product.recurring || null;
+    // Fee on the whole order (all lines x quantity, after discounts, plus any tip), recorded in
+    // metadata so the webhook credits exactly what the application fee was built from (feesFromMeta).
+    // Subscriptions only take a percentage fee (applied to every invoice).
+    const fees = computeFees(total_cents, resolveFeeSchedule(seller), product.currency);
+    const feePercent = recurring && total_cents ? Math.round((fees.fee_cents / total_cents) * 10000) / 100 : null;
+    const checkoutMeta = {
+      linkId,
+      productId: product.productId,
+      sellerId,
+      settlementMode,
+      quantity: String(qty.quantity),
+      ...(link.items?.length ? { items: encodeLineItems(priced) } : {}),
+      pricingMode: chosenPrice_cents != null ? 'pwyw' : 'fixed',
+      ...(chosenPrice_cents != null ? { chosenPrice_cents: String(chosenPrice_cents) } : {}),
+      ...(tip_cents ? { tip_cents: String(tip_cents) } : {}),
+      ...(reservation ? { reservationId: reservation.reservationId } : {}),
+      ...(discount
+        ? {
+            couponId: discount.coupon.couponId,
+            couponCode: discount.coupon.code,
+            couponRedemptionId,
+            discount_cents: String(discount.discount_cents),
+            subtotal_cents: String(subtotal_cents)
+          }
+        : {}),
+      fee_cents: String(fees.fee_cents),
+      platformFee_cents: String(fees.platformFee_cents),
+      ...(feePercent != null ? { feePercent: String(feePercent) } : {})
+    };
+
+    // Platform mode: no transfer_data / application_fee_amount -> funds land in platform account.
+    // Destination modes: the application fee carries the whole fee schedule (platform + processing),
+    // since the platform pays Stripe's processing fee on destination charges.
+    const directSettlement = isDirectSettlement(settlementMode)
+      ? {
+          ...(recurring
+            ? { application_fee_percent: feePercent || 0 }
+            : { application_fee_amount: fees.fee_cents }),
+          transfer_data: { destination: seller.stripeAccountId },
+          ...(settlementMode === 'destination_obo' ? { on_behalf_of: seller.stripeAccountId } : {})
+        }
+      : {};
+
     const sessionParams = {
-      line_items: [{
+      line_items: priced.map(l => ({
         price_data: {
           currency: product.currency || 'usd',
-          unit_amount: unitAmount,
+          unit_amount: l.unit_cents,
           product_data: {
-            name: product.title,
-            description: product.description || undefined,
-            images: product.image_url ? [product.image_url] : undefined
-          }
+            name: l.product.title,
+            description: l.product.description || undefined,
+            images: l.product.image_url ? [l.product.image_url] : undefined
+          },
+          ...(recurring ? { recurring: { interval: recurring.interval, interval_count: recurring.interval_count } } : {})
+        },
+        quantity: l.quantity
+      })).concat(tip_cents ? [{
+        price_data: {
+          currency: product.currency || 'usd',
+          unit_amount: tip_cents,
+          product_data: { name: 'Tip' }
         },
         quantity: 1
-      }],
-      mode: 'payment',
+      }] : []),
+      mode: recurring ? 'subscription' : 'payment',
       success_url: successUrl,
       cancel_url: `${origin}/p/${linkId}`,
-      payment_intent_data: {
-        // Only metadata; we will compute platform & stripe fees internally
-        metadata: { linkId, productId: product.productId, sellerId }
-      },
-      metadata: { linkId, productId: product.productId, sellerId }
+      ...(link.restrictedToEmail ? { customer_email: link.restrictedToEmail } : {}),
+      // Expire the session with the inventory / coupon hold so checkout.session.expired releases it.
+      // Offer links always expire: the sweep hands the item to the next bidder after the hold.
+      ...(reservation || couponRedemptionId || link.auctionOffer ? { expires_at: Math.floor(Date.now() / 1000) + CHECKOUT_HOLD_MINUTES * 60 } : {}),
+      ...(recurring
+        ? {
+            subscription_data: {
+              ...directSettlement,
+              ...(recurring.trial_period_days ? { trial_period_days: recurring.trial_period_days } : {}),
+              metadata: checkoutMeta
+            }
+          }
+        : {
+            payment_intent_data: {
+              ...directSettlement,
+              metadata: checkoutMeta
+            }
+          }),
+      metadata: checkoutMeta
     };
 
-    const session = await stripe.checkout.sessions.create(sessionParams);
+    // No Stripe idempotency key here: a retry after a 5xx brings a fresh reservation, redemption and
+    // expires_at, which Stripe would reject under a reused key. The Idempotency-Key cache already
+    // replays completed responses, and an extra unpaid session just expires and releases its holds.
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create(sessionParams);
+    } catch (e) {
+      if (reservation) await settleInventoryReservation(reservation.reservationId, 'released');
+      await settleCouponRedemption(couponRedemptionId, 'released');
+      throw e;
+    }
+    if (reservation) {
+      await db.collection('inventoryReservations').doc(reservation.reservationId).update({ sessionId: session.id });
+    }
+    if (couponRedemptionId) {
+      await db.collection('couponRedemptions').doc(couponRedemptionId).update({ sessionId: session.id });
+    }
 
     await addLedger(sellerId, {
       type: 'click.buy',
@@ -1345,7 +3904,7 @@ app.post('/api/create-checkout-session', async (req, res) => {
 /**
  * Seller metrics: Stripe balance + recent payment intents + aggregated orders
  */
-app.get('/api/sellers/:sellerId/metrics', verifyFirebaseToken, async (req, res) => {
+app.get('/api/sellers/:sellerId/metrics', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
   try {
     const { sellerId } = req.params;
     const sSnap = await db.collection('sellers').doc(sellerId).get();
@@ -1400,12 +3959,13 @@ app.get('/api/products/:productId', async (req, res) => {
   }
 });
 
-app.get('/api/sellers/:sellerId', async (req, res) => {
+app.get('/api/sellers/:sellerId', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
   try {
     const { sellerId } = req.params;
     const sSnap = await db.collection('sellers').doc(sellerId).get();
     if (!sSnap.exists) return res.status(404).send({ error: 'seller not found' });
-    res.json({ seller: sSnap.data() });
+    const { apiKeyHash, ...seller } = sSnap.data();
+    res.json({ seller });
   } catch (err) {
     console.error(err);
     res.status(500).send({ error: err.message });
@@ -1589,14 +4149,15 @@ app.post('/api/seed/seller', async (req, res) => {
 });
 
 // Upload a digital file scoped to a product
-app.post('/api/products/:productId/digital', bodyParser.raw({ type: '*/*', limit: '100mb' }), async (req, res) => {
+app.post('/api/products/:productId/digital', verifyFirebaseToken, requireSellerAccess(), bodyParser.raw({ type: '*/*', limit: '100mb' }), async (req, res) => {
   try {
     const { productId } = req.params;
     if (!productId) return res.status(400).json({ error: 'productId required' });
 
-    // Ensure product exists
+    // Ensure product exists and belongs to the caller
     const pSnap = await db.collection('products').doc(productId).get();
     if (!pSnap.exists) return res.status(404).json({ error: `product not found: ${productId}` });
+    if (!sellerOwnsProduct(req.seller, pSnap.data())) return res.status(403).json({ error: 'Forbidden: product belongs to another seller' });
 
     if (!req.body || !req.body.length) return res.status(400).json({ error: 'No file uploaded' });
 
@@ -1635,11 +4196,6 @@ app.post('/api/products/:productId/digital', bodyParser.raw({ type: '*/*', limit
   }
 });
 
-// Handles any requests that don't match the API routes
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, '../frontend/build/index.html'));
-});
-
 // Helpers for ledger and balance
 async function addLedger(sellerId, entry) {
   const ref = db.collection('sellers').doc(String(sellerId)).collection('ledger').doc();
@@ -1652,118 +4208,628 @@ async function addLedger(sellerId, entry) {
   return doc;
 }
 
-async function adjustSellerBalance(sellerId, delta_cents, note = '') {
+// currency defaults to the seller's payout currency
+async function adjustSellerBalance(sellerId, delta_cents, note = '', currency = null) {
   const sRef = db.collection('sellers').doc(String(sellerId));
   let updated;
   await db.runTransaction(async (tx) => {
     const snap = await tx.get(sRef);
     if (!snap.exists) throw new Error('Seller not found');
     const s = snap.data() || {};
-    const balance = s.balance || {};
-    const next = Math.max(0, (balance.available_cents || 0) + (delta_cents || 0));
-    const newBal = {
-      available_cents: next,
-      lastUpdatedAt: new Date().toISOString(),
-      lastDelta_cents: delta_cents || 0
-    };
-    tx.set(sRef, { balance: newBal }, { merge: true });
-    updated = { ...s, balance: newBal };
-  });
-  // ledger for balance adjustments (except payouts, which log separately too)
-  await addLedger(sellerId, {
-    type: 'balance.adjust',
-    amount_cents: delta_cents || 0,
-    notes: note
+    const cur = normalizeCurrency(currency || s.defaultCurrency);
+    const prev = currencyBalance(s.balance, cur).available_cents;
+    const nowIso = new Date().toISOString();
+    const patch = balancePatch(s.balance, cur, { available_cents: prev + (delta_cents || 0) }, delta_cents || 0);
+    tx.set(sRef, { balance: patch }, { merge: true });
+    // ledger line in the same transaction so it always sums to the balance
+    const lRef = sRef.collection('ledger').doc();
+    tx.set(lRef, { id: lRef.id, createdAt: nowIso, type: 'balance.adjust', amount_cents: delta_cents || 0, currency: cur, notes: note });
+    updated = { ...s, balance: { ...(s.balance || {}), [cur]: patch[cur] } };
   });
   return updated;
 }
 
-// SINGLE payout endpoint (JSON only, no URL query signaling)
-app.post('/api/payouts/request', async (req, res) => {
-  console.log('[payout] incoming', { body: req.body, query: req.query });
+class PayoutError extends Error {
+  constructor(message, status = 400, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+/**
+ * Transfer a seller's available balance to their connected account.
+ * Shared by the manual endpoint and the auto-payout scheduler.
+ *
+ * The balance is debited (and the payout + ledger line written as `pending`) in one
+ * transaction BEFORE calling Stripe, so sales credited meanwhile are never wiped.
+ * If Stripe rejects the transfer we compensate by re-crediting in another transaction.
+ *
+ * opts.payoutId makes the run idempotent (a second call with the same id is rejected
+ * with 409 and never reaches Stripe); it is also the Stripe idempotency key and transfer_group.
+ * Each payout moves one currency's balance: opts.currency, else seller.defaultCurrency.
+ */
+async function executeSellerPayout(sellerId, { payoutType = 'manual_request', payoutId = null, currency: requestedCurrency = null } = {}) {
+  const sRef = db.collection('sellers').doc(String(sellerId));
+  const snap = await sRef.get();
+  if (!snap.exists) throw new PayoutError('seller not found', 404);
+  const seller = snap.data();
+  const currency = normalizeCurrency(requestedCurrency || seller.defaultCurrency);
+
+  if (currencyBalance(seller.balance, currency).available_cents <= 0) {
+    throw new PayoutError(`no ${currency.toUpperCase()} funds available`, 400, { currency });
+  }
+  if (!seller.stripeAccountId) throw new PayoutError('seller missing Stripe account');
+
   try {
-    const sellerId = (req.body && req.body.sellerId) || req.query.sellerId;
-    if (!sellerId) return res.status(400).json({ error: 'sellerId required' });
+    const acct = await stripe.accounts.retrieve(seller.stripeAccountId);
+    const transfersStatus = acct.capabilities?.transfers;
+    if (transfersStatus !== 'active') {
+      throw new PayoutError('Complete Stripe onboarding to enable transfers', 400, { capabilityStatus: transfersStatus });
+    }
+  } catch (e) {
+    if (e instanceof PayoutError || payoutType !== 'manual_request') throw e;
+    console.error('retrieve account err', e);
+  }
 
-    const sRef = db.collection('sellers').doc(String(sellerId));
-    const snap = await sRef.get();
-    if (!snap.exists) return res.status(404).json({ error: 'seller not found' });
-    const seller = snap.data();
+  const payoutRef = payoutId ? sRef.collection('payouts').doc(String(payoutId)) : sRef.collection('payouts').doc();
+  const ledgerRef = sRef.collection('ledger').doc();
 
-    const available = seller?.balance?.available_cents || 0;
-    if (available <= 0) return res.status(400).json({ error: 'no funds available' });
+  // 1) Lock in the amount: debit balance, record pending payout + ledger line atomically
+  let amount = 0;
+  await db.runTransaction(async (tx) => {
+    const [sSnap, pSnap] = await Promise.all([tx.get(sRef), tx.get(payoutRef)]);
+    if (pSnap.exists) throw new PayoutError('payout already processed', 409, { payoutId: payoutRef.id, duplicate: true });
+    const bal = sSnap.data()?.balance || {};
+    amount = currencyBalance(bal, currency).available_cents;
+    if (amount <= 0) throw new PayoutError(`no ${currency.toUpperCase()} funds available`, 400, { currency });
+    const nowIso = new Date().toISOString();
 
-    if (!seller.stripeAccountId) return res.status(400).json({ error: 'seller missing Stripe account' });
+    tx.set(sRef, {
+      balance: balancePatch(bal, currency, { available_cents: 0 }, -amount)
+    }, { merge: true });
+    tx.set(payoutRef, {
+      payoutId: payoutRef.id,
+      sellerId: String(sellerId),
+      transferId: null,
+      ledgerEntryId: ledgerRef.id,
+      // Fees were already taken when each order was credited; the balance is transferred as-is
+      gross_cents: amount,
+      fee_cents: 0,
+      net_cents: amount,
+      reversed_cents: 0,
+      currency,
+      payoutType,
+      status: 'pending',
+      createdAt: nowIso,
+      updatedAt: nowIso
+    });
+    tx.set(ledgerRef, {
+      id: ledgerRef.id,
+      createdAt: nowIso,
+      type: 'payout.request',
+      amount_cents: -amount,
+      notes: `${payoutType === 'manual_request' ? 'Requested' : 'Automatic'} payout ${formatPrice(amount, currency)}`,
+      fee_cents: 0,
+      gross_cents: amount,
+      transferId: null,
+      payoutId: payoutRef.id,
+      payoutType,
+      status: 'pending',
+      currency
+    });
+  });
 
-    try {
-      const acct = await stripe.accounts.retrieve(seller.stripeAccountId);
-      const transfersStatus = acct.capabilities?.transfers;
-      if (transfersStatus !== 'active') {
-        return res.status(400).json({ error: 'Complete Stripe onboarding to enable transfers', capabilityStatus: transfersStatus });
+  // 2) Move the money
+  let transfer;
+  try {
+    transfer = await stripe.transfers.create({
+      amount,
+      currency,
+      destination: seller.stripeAccountId,
+      transfer_group: payoutRef.id,
+      metadata: { sellerId, payoutId: payoutRef.id, payoutType, gross_cents: amount }
+    }, { idempotencyKey: `payout_${sellerId}_${payoutRef.id}` });
+  } catch (e) {
+    // Connection/API errors are ambiguous: the transfer may exist even though we got no answer
+    if (!e.type || ['StripeConnectionError', 'StripeAPIError'].includes(e.type)) {
+      try {
+        const found = await stripe.transfers.list({ transfer_group: payoutRef.id, limit: 1 });
+        transfer = found.data[0] || null;
+      } catch (lookupErr) {
+        // Still unknown: leave the payout pending for resolvePendingPayout rather than risk paying twice
+        await payoutRef.update({ status: 'pending', lastError: e.message, updatedAt: new Date().toISOString() });
+        throw e;
       }
-    } catch (e) {
-      console.error('retrieve account err', e);
     }
+    if (!transfer) {
+      await compensateFailedPayout(sRef, payoutRef, amount, e.message);
+      throw e;
+    }
+  }
 
-    const platformFee = calcPlatformFee(available);
-    const stripeFee = calcStripeFee(available);
-    const netForPayout = Math.max(0, available - stripeFee - platformFee);
+  // 3) Confirm
+  const nowIso = new Date().toISOString();
+  await confirmPayoutTransfer(sRef, payoutRef, transfer);
+
+  await sendPayoutRequestEmail({
+    sellerId,
+    email: seller.email,
+    gross_cents: amount,
+    net_cents: amount,
+    currency,
+    payoutType
+  });
 
-    const transfer = await stripe.transfers.create({
-      amount: netForPayout,
-      currency: seller.defaultCurrency || 'usd',
-      destination: seller.stripeAccountId,
-      metadata: { sellerId, payoutType: 'manual_request', gross_cents: available }
-    });
+  const payouts = {
+    lastPayoutAt: nowIso,
+    lastPayoutAmount_cents: amount,
+    lastPayoutCurrency: currency,
+    lifetimePayouts_cents: lifetimePayouts(seller.payouts, currency) + amount
+  };
+  return { seller, payoutId: payoutRef.id, transferId: transfer.id, gross_cents: amount, net_cents: amount, currency, payouts };
+}
 
+// pending -> transferred, exactly once (the resolver may get there first)
+async function confirmPayoutTransfer(sRef, payoutRef, transfer) {
+  return db.runTransaction(async (tx) => {
+    const pSnap = await tx.get(payoutRef);
+    if (!pSnap.exists || pSnap.data().status !== 'pending') return false;
+    const payout = pSnap.data();
+    const currency = normalizeCurrency(payout.currency);
     const nowIso = new Date().toISOString();
-    await sRef.set({
-      balance: { available_cents: 0, lastUpdatedAt: nowIso, lastDelta_cents: -available },
+    tx.update(payoutRef, { transferId: transfer.id, status: 'transferred', transferredAt: nowIso, updatedAt: nowIso });
+    if (payout.ledgerEntryId) {
+      tx.update(sRef.collection('ledger').doc(payout.ledgerEntryId), { transferId: transfer.id, status: 'transferred' });
+    }
+    tx.set(sRef, {
       payouts: {
         lastPayoutAt: nowIso,
-        lastPayoutAmount_cents: netForPayout,
-        lifetimePayouts_cents: (seller.payouts?.lifetimePayouts_cents || 0) + netForPayout
+        lastPayoutAmount_cents: payout.net_cents,
+        lastPayoutCurrency: currency,
+        lifetimeByCurrency: { [currency]: admin.firestore.FieldValue.increment(payout.net_cents) }
       }
     }, { merge: true });
+    return true;
+  });
+}
 
-    await addLedgerEntry(sellerId, {
-      type: 'payout.request',
-      amount_cents: -netForPayout,
-      notes: `Requested payout gross=$${(available/100).toFixed(2)} net=$${(netForPayout/100).toFixed(2)}`,
-      fee_cents: platformFee + stripeFee,
-      gross_cents: available,
-      transferId: transfer.id,
-      currency: seller.defaultCurrency || 'usd'
+// A payout is left `pending` (balance debited) when the transfer call failed ambiguously and the
+// follow-up lookup failed too. Once nothing can still be in flight, Stripe is asked again by
+// transfer_group (= payoutId): a transfer there means it went through, none means it never did.
+const PAYOUT_PENDING_GRACE_MS = Number(process.env.PAYOUT_PENDING_GRACE_MS || 10 * 60 * 1000);
+
+async function resolvePendingPayout(sRef, payoutRef) {
+  const pSnap = await payoutRef.get();
+  if (!pSnap.exists) return null;
+  const payout = pSnap.data();
+  if (payout.status !== 'pending') return { payoutId: payoutRef.id, status: payout.status };
+  if (Date.now() - Date.parse(payout.createdAt) < PAYOUT_PENDING_GRACE_MS) {
+    return { payoutId: payoutRef.id, status: 'pending', reason: 'in_flight' };
+  }
+
+  const found = await stripe.transfers.list({ transfer_group: payoutRef.id, limit: 1 });
+  const transfer = found.data[0] || null;
+  const seller = (await sRef.get()).data() || {};
+  const email = {
+    sellerId: sRef.id,
+    email: seller.email,
+    gross_cents: payout.gross_cents,
+    currency: payout.currency,
+    payoutType: payout.payoutType
+  };
+  if (transfer) {
+    if (await confirmPayoutTransfer(sRef, payoutRef, transfer)) {
+      await sendPayoutRequestEmail({ ...email, net_cents: payout.net_cents });
+    }
+    return { payoutId: payoutRef.id, status: 'transferred', transferId: transfer.id };
+  }
+  await compensateFailedPayout(sRef, payoutRef, payout.gross_cents, payout.lastError || 'no transfer found at Stripe');
+  await sendPayoutRequestEmail({ ...email, net_cents: 0, status: 'failed', reason: 'the transfer never reached Stripe; the funds are back in your balance' });
+  return { payoutId: payoutRef.id, status: 'failed' };
+}
+
+// Undo the pre-transfer debit: re-credit the balance with an offsetting ledger line
+async function compensateFailedPayout(sRef, payoutRef, amount, reason) {
+  await db.runTransaction(async (tx) => {
+    const [sSnap, pSnap] = await Promise.all([tx.get(sRef), tx.get(payoutRef)]);
+    if (!pSnap.exists || pSnap.data().status !== 'pending') return; // already settled
+    const nowIso = new Date().toISOString();
+    const currency = normalizeCurrency(pSnap.data().currency);
+    const bal = sSnap.data()?.balance || {};
+    const prev = currencyBalance(bal, currency).available_cents;
+    tx.set(sRef, {
+      balance: balancePatch(bal, currency, { available_cents: prev + amount }, amount)
+    }, { merge: true });
+    tx.update(payoutRef, { status: 'failed', failureMessage: reason || null, updatedAt: nowIso });
+    const lRef = sRef.collection('ledger').doc();
+    tx.set(lRef, {
+      id: lRef.id,
+      createdAt: nowIso,
+      type: 'payout.failed',
+      amount_cents: amount,
+      currency,
+      payoutId: payoutRef.id,
+      notes: `Payout failed; ${formatPrice(amount, currency)} returned to balance`
     });
+  });
+}
 
-    await sendPayoutRequestEmail({
-      sellerId,
-      email: seller.email,
-      gross_cents: available,
-      net_cents: netForPayout
+// SINGLE payout endpoint (JSON only, no URL query signaling)
+app.post('/api/payouts/request', verifyFirebaseToken, requireSellerAccess(), idempotent('payouts'), async (req, res) => {
+  console.log('[payout] incoming', { body: req.body, query: req.query });
+  try {
+    const sellerId = (req.body && req.body.sellerId) || req.query.sellerId || req.seller.sellerId;
+    // With an Idempotency-Key the payout id (and so the Stripe transfer key) is derived from it
+    const result = await executeSellerPayout(sellerId, {
+      payoutType: 'manual_request',
+      payoutId: req.stripeIdempotencyKey('payout') || null,
+      currency: req.body?.currency || null
     });
 
     return res.json({
       ok: true,
       message: 'Payout requested successfully',
-      transferId: transfer.id,
-      gross_cents: available,
-      platformFee_cents: platformFee,
-      stripeFee_cents: stripeFee,
-      net_cents: netForPayout,
-      balance: { available_cents: 0 },
-      payouts: {
-        lastPayoutAt: nowIso,
-        lastPayoutAmount_cents: netForPayout,
-        lifetimePayouts_cents: (seller.payouts?.lifetimePayouts_cents || 0) + netForPayout
-      }
+      payoutId: result.payoutId,
+      transferId: result.transferId,
+      gross_cents: result.gross_cents,
+      net_cents: result.net_cents,
+      currency: result.currency,
+      balance: { currency: result.currency, available_cents: 0 },
+      payouts: result.payouts
     });
   } catch (err) {
+    if (err instanceof PayoutError) return res.status(err.status).json({ error: err.message, ...err.extra });
     console.error('payout request err', err);
     return res.status(500).json({ error: err.message });
   }
 });
 
+// --- Automatic payouts ---
+// seller.autoPayout = { enabled, interval: 'daily'|'weekly'|'monthly', minimum_cents, nextRunAt, lastRunAt, lastResult }
+// The scheduler runs executeSellerPayout with a per-period payoutId, so a period is paid at most once
+// even if the scheduler fires twice or on several dynos.
+const AUTO_PAYOUT_INTERVALS = ['daily', 'weekly', 'monthly'];
+const AUTO_PAYOUT_POLL_MS = Number(process.env.AUTO_PAYOUT_POLL_MS || 15 * 60 * 1000);
+
+// Start of the period containing `date` (UTC): day, ISO week (Monday) or month
+function autoPayoutPeriodStart(interval, date = new Date()) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'weekly') d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (interval === 'monthly') d.setUTCDate(1);
+  return d;
+}
+
+function nextAutoPayoutAt(interval, date = new Date()) {
+  const d = autoPayoutPeriodStart(interval, date);
+  if (interval === 'daily') d.setUTCDate(d.getUTCDate() + 1);
+  if (interval === 'weekly') d.setUTCDate(d.getUTCDate() + 7);
+  if (interval === 'monthly') d.setUTCMonth(d.getUTCMonth() + 1);
+  return d.toISOString();
+}
+
+async function runAutoPayoutForSeller(sellerDoc) {
+  const seller = sellerDoc.data();
+  const sellerId = seller.sellerId || sellerDoc.id;
+  const cfg = seller.autoPayout || {};
+  const now = new Date();
+  const periodKey = autoPayoutPeriodStart(cfg.interval, now).toISOString().slice(0, 10);
+  // Auto payouts move the payout currency only; other currencies wait for a manual request
+  const currency = normalizeCurrency(seller.defaultCurrency);
+  const available = currencyBalance(seller.balance, currency).available_cents;
+
+  let lastResult;
+  if (available < Math.max(1, cfg.minimum_cents || 0)) {
+    lastResult = { status: 'skipped', reason: 'below_minimum', available_cents: available };
+  } else {
+    try {
+      const r = await executeSellerPayout(sellerId, {
+        payoutType: `auto_${cfg.interval}`,
+        payoutId: `auto_${cfg.interval}_${periodKey}${currency === 'usd' ? '' : `_${currency}`}`,
+        currency
+      });
+      lastResult = { status: 'paid', payoutId: r.payoutId, transferId: r.transferId, net_cents: r.net_cents };
+    } catch (e) {
+      lastResult = e instanceof PayoutError
+        ? { status: e.extra?.duplicate ? 'duplicate' : 'skipped', reason: e.message, ...(e.extra || {}) }
+        : { status: 'failed', reason: e.message };
+      if (!e.extra?.duplicate) {
+        await sendPayoutRequestEmail({
+          sellerId,
+          email: seller.email,
+          gross_cents: available,
+          net_cents: 0,
+          currency,
+          payoutType: `auto_${cfg.interval}`,
+          status: lastResult.status,
+          reason: lastResult.reason
+        });
+      }
+    }
+  }
+
+  await sellerDoc.ref.set({
+    autoPayout: {
+      lastRunAt: now.toISOString(),
+      nextRunAt: nextAutoPayoutAt(cfg.interval, now),
+      lastResult
+    }
+  }, { merge: true });
+  return lastResult;
+}
+
+let autoPayoutRunning = false;
+async function runAutoPayouts() {
+  if (autoPayoutRunning) return;
+  autoPayoutRunning = true;
+  try {
+    const snap = await db.collection('sellers')
+      .where('autoPayout.enabled', '==', true)
+      .where('autoPayout.nextRunAt', '<=', new Date().toISOString())
+      .limit(100)
+      .get();
+    for (const doc of snap.docs) {
+      try {
+        await runAutoPayoutForSeller(doc);
+      } catch (e) {
+        console.error('auto payout err', doc.id, e);
+      }
+    }
+  } finally {
+    autoPayoutRunning = false;
+  }
+}
+
+function startAutoPayoutScheduler() {
+  if (process.env.AUTO_PAYOUTS === 'off') return;
+  setInterval(() => {
+    runAutoPayouts().catch(err => console.error('auto payout scheduler err', err));
+  }, AUTO_PAYOUT_POLL_MS);
+}
+
+/**
+ * Opt in/out of automatic payouts
+ * POST /api/sellers/:sellerId/auto-payout
+ * body: { enabled, interval: 'daily'|'weekly'|'monthly', minimum_cents }
+ */
+app.post('/api/sellers/:sellerId/auto-payout', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
+  try {
+    const { enabled, interval, minimum_cents } = req.body || {};
+    if (enabled && !AUTO_PAYOUT_INTERVALS.includes(interval)) {
+      return res.status(400).json({ error: `interval must be one of ${AUTO_PAYOUT_INTERVALS.join(', ')}` });
+    }
+    if (minimum_cents !== undefined && (!Number.isInteger(minimum_cents) || minimum_cents < 0)) {
+      return res.status(400).json({ error: 'minimum_cents must be a non-negative integer' });
+    }
+    const autoPayout = enabled
+      ? {
+          enabled: true,
+          interval,
+          minimum_cents: minimum_cents || 0,
+          nextRunAt: nextAutoPayoutAt(interval),
+          updatedAt: new Date().toISOString()
+        }
+      : { enabled: false, nextRunAt: null, updatedAt: new Date().toISOString() };
+    await db.collection('sellers').doc(String(req.seller.sellerId)).set({ autoPayout }, { merge: true });
+    return res.json({ ok: true, autoPayout });
+  } catch (err) {
+    console.error('auto payout settings err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// --- Payout reconciliation ---
+async function findPayoutByTransfer(transfer) {
+  const { sellerId, payoutId } = transfer.metadata || {};
+  if (sellerId && payoutId) {
+    const ref = db.collection('sellers').doc(String(sellerId)).collection('payouts').doc(String(payoutId));
+    const snap = await ref.get();
+    if (snap.exists) return ref;
+  }
+  const q = await db.collectionGroup('payouts').where('transferId', '==', transfer.id).limit(1).get();
+  return q.empty ? null : q.docs[0].ref;
+}
+
+// Restore the seller balance by the newly reversed amount (transfer.amount_reversed is cumulative)
+async function applyTransferReversal(transfer) {
+  const payoutRef = await findPayoutByTransfer(transfer);
+  if (!payoutRef) return null;
+  const sRef = payoutRef.parent.parent;
+  return db.runTransaction(async (tx) => {
+    const [pSnap, sSnap] = await Promise.all([tx.get(payoutRef), tx.get(sRef)]);
+    if (!pSnap.exists || !sSnap.exists) return null;
+    const payout = pSnap.data();
+    const total = Math.min(payout.net_cents || 0, transfer.amount_reversed || 0);
+    const delta = total - (payout.reversed_cents || 0);
+    if (delta <= 0) return null;
+
+    const seller = sSnap.data();
+    const currency = normalizeCurrency(payout.currency);
+    const nowIso = new Date().toISOString();
+    tx.update(payoutRef, {
+      reversed_cents: total,
+      status: total >= (payout.net_cents || 0) ? 'reversed' : 'partially_reversed',
+      reversedAt: nowIso,
+      updatedAt: nowIso
+    });
+    tx.set(sRef, {
+      balance: balancePatch(seller.balance, currency, {
+        available_cents: currencyBalance(seller.balance, currency).available_cents + delta
+      }, delta),
+      payouts: {
+        lifetimeByCurrency: { [currency]: admin.firestore.FieldValue.increment(-delta) }
+      }
+    }, { merge: true });
+    const lRef = sRef.collection('ledger').doc();
+    tx.set(lRef, {
+      id: lRef.id,
+      createdAt: nowIso,
+      type: 'payout.reversed',
+      amount_cents: delta,
+      payoutId: payout.payoutId,
+      transferId: transfer.id,
+      currency,
+      notes: `Transfer reversed; ${formatPrice(delta, currency)} returned to balance`
+    });
+    return { payoutId: payout.payoutId, restored_cents: delta };
+  });
+}
+
+// Bank payouts happen on the connected account and aren't 1:1 with our transfers.
+// The payout's balance transactions say which transfers it swept: each transfer we send
+// lands there as a py_ charge whose source_transfer is our tr_ id.
+const BANK_PAYOUT_MATCH_DAYS = Number(process.env.BANK_PAYOUT_MATCH_DAYS || 14);
+
+async function bankPayoutTransferIds(stripeAccountId, bankPayoutId) {
+  const ids = [];
+  for await (const bt of stripe.balanceTransactions.list(
+    { payout: bankPayoutId, limit: 100, expand: ['data.source'] },
+    { stripeAccount: stripeAccountId }
+  )) {
+    const transfer = bt.source?.source_transfer;
+    if (transfer) ids.push(typeof transfer === 'string' ? transfer : transfer.id);
+  }
+  return ids;
+}
+
+// Payout docs settled by this bank payout. Falls back to a single transfer of the same
+// amount in the days before it when Stripe can't list the balance transactions
+// (manual payouts don't support the `payout` filter).
+async function payoutsForBankPayout(sRef, stripeAccountId, bankPayout) {
+  let transferIds = [];
+  try {
+    transferIds = await bankPayoutTransferIds(stripeAccountId, bankPayout.id);
+  } catch (e) {
+    console.warn('bank payout balance transactions unavailable', bankPayout.id, e.message);
+  }
+  if (transferIds.length) {
+    const docs = [];
+    for (let i = 0; i < transferIds.length; i += 30) {
+      const snap = await sRef.collection('payouts').where('transferId', 'in', transferIds.slice(i, i + 30)).get();
+      docs.push(...snap.docs);
+    }
+    return docs;
+  }
+
+  const created = (bankPayout.created || Date.now() / 1000) * 1000;
+  const snap = await sRef.collection('payouts')
+    .where('status', '==', 'transferred')
+    .where('transferredAt', '>=', new Date(created - BANK_PAYOUT_MATCH_DAYS * 24 * 3600 * 1000).toISOString())
+    .where('transferredAt', '<=', new Date(created).toISOString())
+    .get();
+  const sameAmount = snap.docs.filter(d => d.data().net_cents === bankPayout.amount &&
+    normalizeCurrency(d.data().currency) === normalizeCurrency(bankPayout.currency));
+  // Ambiguous matches are left alone rather than mislabeled
+  return sameAmount.length === 1 ? sameAmount : [];
+}
+
+// A failed bank payout returns funds to the connected account's Stripe balance, not ours.
+async function recordBankPayout(stripeAccountId, bankPayout) {
+  const sellerSnap = await db.collection('sellers').where('stripeAccountId', '==', stripeAccountId).limit(1).get();
+  if (sellerSnap.empty) return;
+  const sRef = sellerSnap.docs[0].ref;
+  const docs = (await payoutsForBankPayout(sRef, stripeAccountId, bankPayout))
+    .filter(d => ['transferred', 'paid', 'bank_failed'].includes(d.data().status));
+  if (!docs.length) {
+    console.warn('bank payout matched no transfers', bankPayout.id);
+    return;
+  }
+  const failed = bankPayout.status === 'failed';
+  const batch = db.batch();
+  docs.forEach(d => batch.update(d.ref, {
+    status: failed ? 'bank_failed' : 'paid',
+    bankPayoutId: bankPayout.id,
+    ...(failed ? { failureMessage: bankPayout.failure_message || bankPayout.failure_code || 'payout failed' } : { paidAt: new Date().toISOString() }),
+    updatedAt: new Date().toISOString()
+  }));
+  await batch.commit();
+}
+
+/**
+ * Payout history (newest first)
+ * GET /api/sellers/:sellerId/payouts?limit=20&cursor=<payoutId>
+ */
+app.get('/api/sellers/:sellerId/payouts', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
+  try {
+    const { sellerId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10) || 20, 1), 100);
+    const col = db.collection('sellers').doc(String(sellerId)).collection('payouts');
+    let q = col.orderBy('createdAt', 'desc').limit(limit + 1);
+    if (req.query.cursor) {
+      const cursorSnap = await col.doc(String(req.query.cursor)).get();
+      if (!cursorSnap.exists) return res.status(400).json({ error: 'invalid cursor' });
+      q = q.startAfter(cursorSnap);
+    }
+    const snap = await q.get();
+    const docs = snap.docs.slice(0, limit);
+    res.json({
+      items: docs.map(d => d.data()),
+      nextCursor: snap.docs.length > limit ? docs[docs.length - 1].id : null
+    });
+  } catch (err) {
+    console.error('seller payouts err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * Verify the balance invariant, per currency: sum(ledger.amount_cents) === balance.{currency}.available_cents
+ * (ledger lines without a currency predate multi-currency and are USD).
+ * Payouts stuck `pending` past the grace period are resolved against Stripe first (see
+ * resolvePendingPayout); the ones still in flight are listed.
+ * GET /api/sellers/:sellerId/reconcile
+ */
+app.get('/api/sellers/:sellerId/reconcile', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
+  try {
+    const { sellerId } = req.params;
+    const sRef = db.collection('sellers').doc(String(sellerId));
+
+    // Settle stuck payouts first: that can re-credit the balance, which the comparison must see
+    const stuckSnap = await sRef.collection('payouts').where('status', '==', 'pending').get();
+    const resolved = [];
+    for (const doc of stuckSnap.docs) {
+      try {
+        resolved.push(await resolvePendingPayout(sRef, doc.ref));
+      } catch (e) {
+        resolved.push({ payoutId: doc.id, status: 'pending', error: e.message });
+      }
+    }
+
+    const [sSnap, ledgerSnap, pendingSnap] = await Promise.all([
+      sRef.get(),
+      sRef.collection('ledger').select('amount_cents', 'currency').get(),
+      sRef.collection('payouts').where('status', '==', 'pending').get()
+    ]);
+    if (!sSnap.exists) return res.status(404).json({ error: 'seller not found' });
+
+    // A pre-multi-currency balance is split from this same ledger first, then compared per currency
+    let seller = sSnap.data();
+    if (hasLegacyBalance(seller.balance)) seller = await migrateLegacyBalance(sellerId);
+    const balances = listBalances(seller.balance);
+    const sums = {};
+    ledgerSnap.docs.forEach(d => {
+      const cur = normalizeCurrency(d.get('currency'));
+      sums[cur] = (sums[cur] || 0) + (d.get('amount_cents') || 0);
+    });
+    const currencies = [...new Set([...Object.keys(balances), ...Object.keys(sums)])].sort().map(cur => {
+      const balance = balances[cur]?.available_cents || 0;
+      const ledgerSum = sums[cur] || 0;
+      return { currency: cur, ok: ledgerSum === balance, balance_cents: balance, ledgerSum_cents: ledgerSum, drift_cents: balance - ledgerSum };
+    });
+    res.json({
+      ok: currencies.every(c => c.ok),
+      currencies,
+      entries: ledgerSnap.size,
+      legacyBalance: seller.legacyBalance || null,
+      resolvedPayouts: resolved.filter(r => r && r.status !== 'pending'),
+      pendingPayouts: pendingSnap.docs.map(d => d.data())
+    });
+  } catch (err) {
+    console.error('reconcile err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Accept form POST for payout from dashboard (same logic as JSON endpoint)
 app.post('/api/payouts/request', express.urlencoded({ extended: true }), async (req, res) => {
   // reuse existing payout logic or factor into a function
@@ -1773,14 +4839,61 @@ app.post('/api/payouts/request', express.urlencoded({ extended: true }), async (
   res.redirect(`/dashboard/${sellerId}`);
 });
 
+/**
+ * Seller-initiated refund (full by default). Balance/ledger are updated by the
+ * charge.refunded webhook so Stripe-dashboard refunds take the same path.
+ * POST /api/orders/:orderId/refund
+ * body: { amount_cents?, reason? }
+ */
+app.post('/api/orders/:orderId/refund', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const oSnap = await db.collection('orders').doc(String(orderId)).get();
+    if (!oSnap.exists) return res.status(404).json({ error: 'order not found' });
+    const order = oSnap.data();
+    if (String(order.sellerId) !== String(req.seller.sellerId)) return res.status(403).json({ error: 'Forbidden: order belongs to another seller' });
+
+    const refundable = (order.amount_total_cents || 0) - (order.refunded_cents || 0);
+    if (refundable <= 0) return res.status(400).json({ error: 'order already fully refunded' });
+
+    const { amount_cents, reason } = req.body || {};
+    if (amount_cents !== undefined && (!Number.isInteger(amount_cents) || amount_cents <= 0 || amount_cents > refundable)) {
+      return res.status(400).json({ error: `amount_cents must be between 1 and ${refundable}`, refundable_cents: refundable });
+    }
+
+    // Orders are keyed by PaymentIntent; older session-keyed orders need a lookup
+    let paymentIntent = orderId;
+    if (String(orderId).startsWith('cs_')) {
+      const session = await stripe.checkout.sessions.retrieve(orderId);
+      paymentIntent = session.payment_intent;
+    }
+    if (!paymentIntent) return res.status(400).json({ error: 'order has no payment to refund' });
+
+    const refund = await stripe.refunds.create({
+      payment_intent: paymentIntent,
+      amount: amount_cents || refundable,
+      // Destination charges: pull the money back from the connected account, fee included
+      ...(isDirectSettlement(order.settlementMode) ? { reverse_transfer: true, refund_application_fee: true } : {}),
+      ...(['duplicate', 'fraudulent', 'requested_by_customer'].includes(reason) ? { reason } : {}),
+      metadata: { orderId, sellerId: req.seller.sellerId, initiatedBy: 'seller' }
+    });
+
+    return res.json({ ok: true, refundId: refund.id, status: refund.status, amount_cents: refund.amount });
+  } catch (err) {
+    console.error('order refund err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Seller summary (for dashboard)
-app.get('/api/sellers/:sellerId/summary', async (req, res) => {
+app.get('/api/sellers/:sellerId/summary', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
   try {
     const { sellerId } = req.params;
     const sRef = db.collection('sellers').doc(String(sellerId));
     const sSnap = await sRef.get();
     if (!sSnap.exists) return res.status(404).json({ error: 'seller not found' });
-    const s = sSnap.data();
+    let s = sSnap.data();
+    if (hasLegacyBalance(s.balance)) s = await migrateLegacyBalance(sellerId);
 
     const productsSnap = await db.collection('products').where('sellerId', '==', sellerId).count().get();
     const linksSnap = await db.collection('links').where('sellerId', '==', sellerId).count().get();
@@ -1788,19 +4901,45 @@ app.get('/api/sellers/:sellerId/summary', async (req, res) => {
     // last 10 ledger entries
     const ledgerSnap = await sRef.collection('ledger').orderBy('createdAt', 'desc').limit(10).get();
     const ledger = ledgerSnap.docs.map(d => d.data());
+    const openDisputes = await getOpenDisputes(sellerId);
 
+    // Sorted here, not in the query: docs first written by a status webhook may lack createdAt
+    const subsSnap = await db.collection('subscriptions').where('sellerId', '==', sellerId).limit(200).get();
+    const subscribers = subsSnap.docs
+      .map(d => d.data())
+      .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+
+    // Headline balance is the payout currency; byCurrency lists every currency the seller holds
+    const payoutCurrency = normalizeCurrency(s.defaultCurrency);
     res.json({
       seller: {
         sellerId: s.sellerId || sellerId,
         email: s.email,
-        emailVerified: !!s.emailVerified
+        emailVerified: !!s.emailVerified,
+        settlementMode: sellerSettlementMode(s),
+        defaultCurrency: payoutCurrency
+      },
+      balance: {
+        currency: payoutCurrency,
+        ...currencyBalance(s.balance, payoutCurrency),
+        byCurrency: listBalances(s.balance),
+        lastUpdatedAt: s.balance?.lastUpdatedAt || null
+      },
+      payouts: { ...(s.payouts || {}), lifetimePayouts_cents: lifetimePayouts(s.payouts, payoutCurrency) },
+      disputes: {
+        open: openDisputes,
+        held_cents: openDisputes
+          .filter(d => normalizeCurrency(d.currency) === payoutCurrency)
+          .reduce((a, d) => a + (d.hold_cents || 0), 0)
       },
-      balance: s.balance || { available_cents: 0 },
-      payouts: s.payouts || {},
       stats: {
         products: productsSnap.data().count || 0,
         links: linksSnap.data().count || 0
       },
+      subscribers: {
+        active: subscribers.filter(x => ['active', 'trialing'].includes(x.status)).length,
+        items: subscribers
+      },
       recentLedger: ledger
     });
   } catch (err) {
@@ -1810,7 +4949,7 @@ app.get('/api/sellers/:sellerId/summary', async (req, res) => {
 });
 
 // Seller ledger (paginated lightweight feed)
-app.get('/api/sellers/:sellerId/ledger', async (req, res) => {
+app.get('/api/sellers/:sellerId/ledger', verifyFirebaseToken, requireSellerAccess(), async (req, res) => {
   try {
     const { sellerId } = req.params;
     const limit = Math.min(parseInt(req.query.limit || '25', 10), 100);
@@ -1825,26 +4964,258 @@ app.get('/api/sellers/:sellerId/ledger', async (req, res) => {
   }
 });
 
-// Fee helpers
-function calcStripeFee(amount_cents) { return Math.round((amount_cents || 0) * 0.029) + 30; }
-function calcPlatformFee(amount_cents) { return Math.round((amount_cents || 0) * 0.05); }
-function calcNetAfterAllFees(amount_cents) {
-  const stripeFee = calcStripeFee(amount_cents);
-  const platformFee = calcPlatformFee(amount_cents);
-  return Math.max(0, (amount_cents || 0) - stripeFee - platformFee);
-}
-function fmtUSD(c) { return `$${((c || 0) / 100).toFixed(2)}`; }
+/**
+ * Fee quote for a sale amount. Uses the caller's seller overrides when authenticated,
+ * otherwise the platform default schedule.
+ * GET /api/fees/quote?amount_cents=1000&currency=usd
+ */
+app.get('/api/fees/quote', optionalAuth, async (req, res) => {
+  try {
+    const amount = parseInt(req.query.amount_cents, 10);
+    if (!Number.isInteger(amount) || amount < 0) return res.status(400).json({ error: 'amount_cents required' });
+    const currency = req.query.currency || 'usd';
+    if (!isValidCurrency(currency)) return res.status(400).json({ error: 'currency must be a 3-letter ISO 4217 code' });
+    const schedule = resolveFeeSchedule(req.seller);
+    return res.json({ ...computeFees(amount, schedule, currency), schedule, sellerSpecific: !!req.seller?.feeSchedule });
+  } catch (err) {
+    console.error('fee quote err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+function fmtMoney(c, currency = 'usd') { return formatPrice(c || 0, currency); }
 function fmtDate(d) { return new Date(d).toLocaleString(); }
 
 // Update ledger enum usage to include payout.request when adding entries
 // e.g. addLedgerEntry(... { type: 'payout.request', ... })
 
-// Simple email stub (replace with real email service)
-async function sendPayoutRequestEmail({ sellerId, email, gross_cents, net_cents }) {
-  console.log(
-    `PAYOUT REQUEST EMAIL -> lorenzo.edwardstechnology@gmail.com | sellerId=${sellerId} email=${email} gross=$${(gross_cents/100).toFixed(2)} net=$${(net_cents/100).toFixed(2)}`
-  );
+// Payout result to the seller, plus a copy to ops (PAYOUT_OPS_EMAIL) when one is configured.
+// The payout has already happened (or not) by now, so a send failure is only logged.
+const PAYOUT_EMAIL_TITLES = {
+  paid: 'Payout sent',
+  skipped: 'Payout skipped',
+  failed: 'Payout failed'
+};
+
+async function sendPayoutRequestEmail({ sellerId, email, gross_cents, net_cents, currency = 'usd', payoutType = 'manual_request', status = 'paid', reason = null }) {
+  const title = PAYOUT_EMAIL_TITLES[status] || `Payout ${status}`;
+  const message = status === 'paid'
+    ? `We sent ${fmtMoney(net_cents, currency)} to your connected Stripe account.`
+    : `Your ${payoutType.startsWith('auto_') ? 'automatic ' : ''}payout of ${fmtMoney(gross_cents, currency)} didn't go through${reason ? `: ${reason}` : '.'}`;
+  const details = `
+    <p><strong>Type:</strong> ${payoutType}</p>
+    <p><strong>Amount:</strong> ${fmtMoney(gross_cents, currency)}</p>
+    <p><strong>Net:</strong> ${fmtMoney(net_cents, currency)}</p>
+  `;
+  const html = generateEmailTemplate({ appName: 'InstaPay', title, message, details });
+  const from = process.env.RESEND_FROM_EMAIL || 'no-reply@instapay.app';
+
+  const sends = [];
+  if (email) sends.push(resend.emails.send({ from, to: email, subject: `${title} - ${fmtMoney(net_cents || gross_cents, currency)}`, html }));
+  if (process.env.PAYOUT_OPS_EMAIL) {
+    sends.push(resend.emails.send({
+      from,
+      to: process.env.PAYOUT_OPS_EMAIL,
+      subject: `[payout ${status}] ${sellerId} ${payoutType} ${fmtMoney(gross_cents, currency)}`,
+      html: generateEmailTemplate({ appName: 'InstaPay', title, message, details: `<p><strong>Seller:</strong> ${sellerId} (${email || 'no email'})</p>${details}` })
+    }));
+  }
+  const results = await Promise.allSettled(sends);
+  results.filter(r => r.status === 'rejected').forEach(r => console.error('payout email err', sellerId, r.reason));
+}
+
+// --- Background jobs ---
+// One scheduler for periodic maintenance; the lock doc keeps it to a single dyno.
+// (Fulfillment and auto payouts keep their own pollers: they're safe to run everywhere.)
+const SCHEDULER_POLL_MS = Number(process.env.SCHEDULER_POLL_MS || 60 * 1000);
+
+// Auctions nobody visited after endsAt: finalize so the winner still gets emailed
+async function finalizeEndedAuctions() {
+  const snap = await db.collection('links')
+    .where('auction.status', '==', 'active')
+    .where('auction.endsAt', '<=', new Date().toISOString())
+    .limit(50)
+    .get();
+  let finalized = 0;
+  for (const doc of snap.docs) {
+    try {
+      await finalizeAuction(doc.data());
+      finalized++;
+    } catch (err) {
+      console.error('finalize auction job err', doc.id, err);
+    }
+  }
+  return { finalized };
+}
+
+// Links created before `active` existed are left alone; checkout still enforces expiresAt
+async function deactivateExpiredLinks() {
+  const snap = await db.collection('links')
+    .where('active', '==', true)
+    .where('expiresAt', '<=', new Date().toISOString())
+    .limit(200)
+    .get();
+  const batch = db.batch();
+  let deactivated = 0;
+  for (const doc of snap.docs) {
+    // Live auctions are the finalize job's business (a late bid may have moved endsAt)
+    if (doc.data().auction?.enabled && doc.data().auction.status !== 'finalized') continue;
+    batch.update(doc.ref, { active: false, deactivatedAt: new Date().toISOString(), deactivatedReason: 'expired' });
+    deactivated++;
+  }
+  if (deactivated) await batch.commit();
+  return { deactivated };
+}
+
+// Magic-link and bidder tokens are single-use and short-lived; drop them once expired
+async function sweepEmailTokens() {
+  const snap = await db.collection('emailTokens')
+    .where('expiresAt', '<=', new Date().toISOString())
+    .limit(400)
+    .get();
+  if (snap.empty) return { deleted: 0 };
+  const batch = db.batch();
+  snap.docs.forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+  return { deleted: snap.size };
+}
+
+// Sellers still carrying a top-level (pre-multi-currency) balance; money paths won't touch them until split
+async function splitLegacyBalances() {
+  const [availSnap, heldSnap] = await Promise.all([
+    db.collection('sellers').orderBy('balance.available_cents').limit(50).get(),
+    db.collection('sellers').orderBy('balance.held_cents').limit(50).get()
+  ]);
+  const ids = [...new Set([...availSnap.docs, ...heldSnap.docs].map(d => d.id))];
+  let migrated = 0;
+  for (const sellerId of ids) {
+    try {
+      await migrateLegacyBalance(sellerId);
+      migrated++;
+    } catch (err) {
+      console.error('legacy balance split err', sellerId, err.message);
+    }
+  }
+  return { migrated, failed: ids.length - migrated };
+}
+
+// Payouts stuck `pending` after an ambiguous transfer failure, across all sellers
+async function resolvePendingPayouts() {
+  const cutoff = new Date(Date.now() - PAYOUT_PENDING_GRACE_MS).toISOString();
+  const snap = await db.collectionGroup('payouts')
+    .where('status', '==', 'pending')
+    .where('createdAt', '<=', cutoff)
+    .limit(50)
+    .get();
+  const counts = { transferred: 0, failed: 0, unresolved: 0 };
+  for (const doc of snap.docs) {
+    try {
+      const r = await resolvePendingPayout(doc.ref.parent.parent, doc.ref);
+      if (r && counts[r.status] !== undefined) counts[r.status]++;
+    } catch (err) {
+      console.error('resolve payout err', doc.ref.path, err.message);
+      counts.unresolved++;
+    }
+  }
+  return counts;
+}
+
+// Inventory and coupon holds still `held` well after their session must have expired: the
+// expired webhook was missed, or the session was never created. Stripe has the last word, so a
+// session that did complete is left for its completed webhook to commit.
+const CHECKOUT_HOLD_SWEEP_MARGIN_MINUTES = Number(process.env.CHECKOUT_HOLD_SWEEP_MARGIN_MINUTES || 15);
+
+async function checkoutHoldAbandoned(hold) {
+  if (!hold.sessionId) return true;
+  const session = await stripe.checkout.sessions.retrieve(hold.sessionId);
+  if (session.status === 'complete') return false;
+  if (session.status === 'open') await stripe.checkout.sessions.expire(hold.sessionId);
+  return true;
+}
+
+async function releaseAbandonedHolds() {
+  const cutoff = new Date(Date.now() - (CHECKOUT_HOLD_MINUTES + CHECKOUT_HOLD_SWEEP_MARGIN_MINUTES) * 60 * 1000).toISOString();
+  const stale = (collection) => db.collection(collection)
+    .where('status', '==', 'held')
+    .where('createdAt', '<=', cutoff)
+    .limit(100)
+    .get();
+  const [reservationSnap, redemptionSnap] = await Promise.all([stale('inventoryReservations'), stale('couponRedemptions')]);
+  const counts = { reservations: 0, redemptions: 0 };
+  for (const [snap, key, settle] of [
+    [reservationSnap, 'reservations', id => settleInventoryReservation(id, 'released')],
+    [redemptionSnap, 'redemptions', id => settleCouponRedemption(id, 'released')]
+  ]) {
+    for (const doc of snap.docs) {
+      try {
+        if (await checkoutHoldAbandoned(doc.data()) && await settle(doc.id)) counts[key]++;
+      } catch (err) {
+        console.error('release hold err', doc.ref.path, err.message);
+      }
+    }
+  }
+  return counts;
 }
 
+const backgroundJobs = [
+  { name: 'finalizeAuctions', everyMs: SCHEDULER_POLL_MS, run: finalizeEndedAuctions },
+  { name: 'auctionOffers', everyMs: 5 * 60 * 1000, run: async () => ({ lapsed: await runAuctionOfferSweep() }) },
+  { name: 'expireLinks', everyMs: 5 * 60 * 1000, run: deactivateExpiredLinks },
+  { name: 'sweepEmailTokens', everyMs: 60 * 60 * 1000, run: sweepEmailTokens },
+  { name: 'releaseAbandonedHolds', everyMs: 5 * 60 * 1000, run: releaseAbandonedHolds },
+  { name: 'resolvePendingPayouts', everyMs: 10 * 60 * 1000, run: resolvePendingPayouts },
+  { name: 'splitLegacyBalances', everyMs: 10 * 60 * 1000, run: splitLegacyBalances }
+];
+
+let scheduler = null;
+function startBackgroundJobs() {
+  if (process.env.SCHEDULER === 'off') return;
+  scheduler = createScheduler({ name: 'main', jobs: backgroundJobs, pollMs: SCHEDULER_POLL_MS });
+  scheduler.start();
+}
+
+/**
+ * Background job history (platform admins only)
+ * GET /api/admin/jobs?job=&limit=
+ */
+app.get('/api/admin/jobs', verifyFirebaseToken, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    let q = db.collection('jobRuns');
+    if (req.query.job) q = q.where('job', '==', String(req.query.job));
+    const [runsSnap, lockSnap] = await Promise.all([
+      q.orderBy('startedAt', 'desc').limit(limit).get(),
+      db.collection('schedulerLocks').doc('main').get()
+    ]);
+    res.json({
+      jobs: backgroundJobs.map(j => ({ name: j.name, everyMs: j.everyMs })),
+      lock: lockSnap.exists ? lockSnap.data() : null,
+      thisInstance: scheduler?.owner || null,
+      runs: runsSnap.docs.map(d => {
+        const { expiresAt, ...run } = d.data();
+        return run;
+      })
+    });
+  } catch (err) {
+    console.error('admin jobs err', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Handles any requests that don't match the API routes (must stay last so it can't shadow GET routes)
+app.get('*', (req, res) => {
+  res.sendFile(path.join(__dirname, '../frontend/build/index.html'));
+});
+
 const PORT = process.env.PORT || 80;
-app.listen(PORT, () => console.log(`API listening on port ${PORT}`));
+// `npm start` runs this file; tests require() the app and listen on a port of their own
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`API listening on port ${PORT}`);
+    startFulfillmentWorker();
+    startAutoPayoutScheduler();
+    startBackgroundJobs();
+  });
+}
+
+module.exports = app;
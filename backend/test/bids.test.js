@@ -0,0 +1,121 @@
+// Concurrent bidding against the Firestore emulator: `npm test` starts it via firebase-tools.
+// Refuses to run without FIRESTORE_EMULATOR_HOST so it can never write to a real project.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const emulator = process.env.FIRESTORE_EMULATOR_HOST;
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+describe('POST /api/bids under concurrency', { skip: !emulator && 'FIRESTORE_EMULATOR_HOST not set (run via npm test)' }, () => {
+  let server;
+  let baseUrl;
+  let db;
+
+  before(async () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    Object.assign(process.env, {
+      FIREBASE_PROJECT_ID: process.env.GCLOUD_PROJECT || 'demo-instapay',
+      FIREBASE_CLIENT_EMAIL: 'test@demo-instapay.iam.gserviceaccount.com',
+      FIREBASE_PRIVATE_KEY: JSON.stringify({ private_key: privateKey.export({ type: 'pkcs8', format: 'pem' }) }),
+      STRIPE_SECRET_KEY: 'sk_test_emulator',
+      RESEND_API_KEY: 're_emulator',
+      SCHEDULER: 'off'
+    });
+    const app = require('../server');
+    db = require('firebase-admin').firestore();
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  // English auction link plus `count` bidders already confirmed for it (outbid emails off)
+  async function seedAuction({ minIncrement_cents, count }) {
+    const linkId = `T${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+    const lRef = db.collection('links').doc(linkId);
+    await lRef.set({
+      linkId,
+      productId: `prod_${linkId}`,
+      sellerId: `seller_${linkId}`,
+      active: true,
+      auction: {
+        enabled: true,
+        type: 'english',
+        status: 'active',
+        startingPrice_cents: 1000,
+        minIncrement_cents,
+        endsAt: new Date(Date.now() + 3600 * 1000).toISOString()
+      }
+    });
+    const bidders = [];
+    for (let i = 0; i < count; i++) {
+      const email = `bidder${i}@example.com`;
+      const token = crypto.randomBytes(16).toString('hex');
+      await lRef.collection('bidders').doc(sha256Hex(email).slice(0, 32)).set({
+        email,
+        verified: true,
+        tokenHash: sha256Hex(token),
+        notifyOutbid: false
+      });
+      bidders.push({ email, token });
+    }
+    return { linkId, lRef, bidders };
+  }
+
+  function placeBid(linkId, bidder, amount_cents) {
+    return fetch(`${baseUrl}/api/bids`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ linkId, email: bidder.email, amount_cents, bidderToken: bidder.token })
+    }).then(async res => ({ status: res.status, body: await res.json() }));
+  }
+
+  function bidAll(linkId, bidders, amount_cents) {
+    return Promise.all(bidders.map(b => placeBid(linkId, b, amount_cents)));
+  }
+
+  it('accepts exactly one bid at each minimum-required level', async () => {
+    const { linkId, lRef, bidders } = await seedAuction({ minIncrement_cents: 100, count: 4 });
+
+    for (const level of [1000, 1100, 1200]) {
+      const results = await bidAll(linkId, bidders, level);
+      const accepted = results.filter(r => r.status === 200);
+      assert.equal(accepted.length, 1, `one winner at ${level}: ${JSON.stringify(results)}`);
+      for (const r of results.filter(r => r.status !== 200)) {
+        assert.equal(r.status, 400);
+        assert.equal(r.body.minRequired_cents, level + 100);
+        assert.equal(r.body.highest_cents, level);
+      }
+    }
+
+    const link = (await lRef.get()).data();
+    assert.equal(link.highestBid.amount_cents, 1200);
+    assert.equal(link.bidCount, 3);
+    const bids = await lRef.collection('bids').get();
+    assert.deepEqual(bids.docs.map(d => d.data().amount_cents).sort(), [1000, 1100, 1200]);
+  });
+
+  it('breaks ties in favour of the earlier bid', async () => {
+    const { linkId, lRef, bidders } = await seedAuction({ minIncrement_cents: 0, count: 4 });
+
+    const results = await bidAll(linkId, bidders, 1500);
+    const accepted = results.filter(r => r.status === 200);
+    assert.equal(accepted.length, 1, JSON.stringify(results));
+    assert.ok(results.filter(r => r.status !== 200).every(r => r.status === 400));
+
+    // The stored leader is the accepted bid, and a later equal bid can't displace it
+    const winner = accepted[0].body.bid;
+    const loser = bidders.find(b => b.email !== winner.email);
+    const late = await placeBid(linkId, loser, 1500);
+    assert.equal(late.status, 400);
+    const link = (await lRef.get()).data();
+    assert.equal(link.highestBid.bidId, winner.bidId);
+    assert.equal((await lRef.collection('bids').get()).size, 1);
+  });
+});
@@ -0,0 +1,108 @@
+// utils/fees.js
+// Single fee schedule for the platform. Fees are computed once, when an order is
+// recorded, and persisted on the order + ledger entry; the seller balance is
+// therefore already net and payouts transfer it as-is.
+//
+// Defaults come from env; a seller may carry overrides in seller.feeSchedule:
+//   { platformFeeBps, platformFeeFixed_cents, processingFeeBps, processingFeeFixed_cents, fixedByCurrency }
+//
+// The *Fixed_cents amounts are USD cents. Other currencies take their fixed fees from
+// fixedByCurrency ({ eur: { processingFeeFixed_cents: 25 }, ... }; env FEE_FIXED_BY_CURRENCY
+// as JSON, then the seller's), else the USD figure scaled by decimal places (30 -> ¥0, 0.300 KWD).
+const { normalizeCurrency, roundMinorUnits, scaleFromUsdCents } = require('./mustacheHelpers');
+
+// Stripe's standard card pricing where it differs from a straight scale of the USD 30c
+const DEFAULT_FIXED_BY_CURRENCY = {
+  eur: { processingFeeFixed_cents: 25 },
+  gbp: { processingFeeFixed_cents: 20 },
+  jpy: { processingFeeFixed_cents: 0 }
+};
+
+function envInt(name, fallback) {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) ? v : fallback;
+}
+
+function envJson(name) {
+  try {
+    return JSON.parse(process.env[name] || '{}');
+  } catch (e) {
+    console.warn(`${name} is not valid JSON; ignoring`);
+    return {};
+  }
+}
+
+// Later sources win per currency and per field
+function mergeFixedByCurrency(...sources) {
+  const out = {};
+  for (const src of sources) {
+    for (const [cur, fees] of Object.entries(src || {})) {
+      const key = normalizeCurrency(cur);
+      out[key] = { ...(out[key] || {}) };
+      for (const k of ['platformFeeFixed_cents', 'processingFeeFixed_cents']) {
+        if (Number.isInteger(fees?.[k]) && fees[k] >= 0) out[key][k] = fees[k];
+      }
+    }
+  }
+  return out;
+}
+
+function defaultFeeSchedule() {
+  return {
+    platformFeeBps: envInt('PLATFORM_FEE_BPS', 500), // 5%
+    platformFeeFixed_cents: envInt('PLATFORM_FEE_FIXED_CENTS', 0),
+    processingFeeBps: envInt('PROCESSING_FEE_BPS', 290), // Stripe card rate, 2.9%
+    processingFeeFixed_cents: envInt('PROCESSING_FEE_FIXED_CENTS', 30),
+    fixedByCurrency: mergeFixedByCurrency(DEFAULT_FIXED_BY_CURRENCY, envJson('FEE_FIXED_BY_CURRENCY'))
+  };
+}
+
+function resolveFeeSchedule(seller) {
+  const base = defaultFeeSchedule();
+  const o = seller?.feeSchedule || {};
+  const pick = (k) => (Number.isFinite(o[k]) && o[k] >= 0 ? o[k] : base[k]);
+  return {
+    platformFeeBps: pick('platformFeeBps'),
+    platformFeeFixed_cents: pick('platformFeeFixed_cents'),
+    processingFeeBps: pick('processingFeeBps'),
+    processingFeeFixed_cents: pick('processingFeeFixed_cents'),
+    fixedByCurrency: mergeFixedByCurrency(base.fixedByCurrency, o.fixedByCurrency)
+  };
+}
+
+// Fixed fee amounts for one currency, in its minor units
+function fixedFees(schedule, currency) {
+  const cur = normalizeCurrency(currency);
+  const configured = schedule.fixedByCurrency?.[cur] || {};
+  const fixed = (k) => {
+    if (Number.isInteger(configured[k])) return configured[k];
+    return cur === 'usd' ? schedule[k] : scaleFromUsdCents(schedule[k], cur);
+  };
+  return { platform: fixed('platformFeeFixed_cents'), processing: fixed('processingFeeFixed_cents') };
+}
+
+/**
+ * Split a gross amount (minor units of `currency`) into platform fee, processing fee and seller net.
+ * Fees never exceed the gross; amounts of 0 produce no fees. 3-decimal currencies stay in
+ * multiples of 10, which is all Stripe accepts for them.
+ */
+function computeFees(gross_cents, schedule = defaultFeeSchedule(), currency = 'usd') {
+  const gross = Math.max(0, Math.round(gross_cents || 0));
+  const cur = normalizeCurrency(currency);
+  if (!gross) {
+    return { gross_cents: 0, platformFee_cents: 0, processingFee_cents: 0, fee_cents: 0, net_cents: 0, currency: cur };
+  }
+  const fixed = fixedFees(schedule, cur);
+  const processing = Math.min(gross, roundMinorUnits(Math.round((gross * schedule.processingFeeBps) / 10000) + fixed.processing, cur));
+  const platform = Math.min(gross - processing, roundMinorUnits(Math.round((gross * schedule.platformFeeBps) / 10000) + fixed.platform, cur));
+  return {
+    currency: cur,
+    gross_cents: gross,
+    platformFee_cents: platform,
+    processingFee_cents: processing,
+    fee_cents: platform + processing,
+    net_cents: gross - platform - processing
+  };
+}
+
+module.exports = { defaultFeeSchedule, resolveFeeSchedule, fixedFees, computeFees };
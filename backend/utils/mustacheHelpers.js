@@ -1,9 +1,115 @@
 // utils/mustacheHelpers.js
+// Money is stored as integer minor units (the `_cents` fields) of its own currency.
+// Most currencies have 2 decimals; Stripe's zero-decimal ones (JPY, KRW, ...) have none
+// and a few (BHD, KWD, ...) have 3, so `1200` is ¥1,200 but $12.00.
+const ZERO_DECIMAL_CURRENCIES = [
+  'bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'
+];
+const THREE_DECIMAL_CURRENCIES = ['bhd', 'jod', 'kwd', 'omr', 'tnd'];
+
+function normalizeCurrency(currency) {
+  return String(currency || 'usd').toLowerCase();
+}
+
+// Digits after the decimal point for a currency's minor unit
+function minorUnitDigits(currency) {
+  const c = normalizeCurrency(currency);
+  if (ZERO_DECIMAL_CURRENCIES.includes(c)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.includes(c)) return 3;
+  return 2;
+}
+
+// Stripe only charges 3-decimal currencies in multiples of 10 minor units (0.010 KWD)
+function roundMinorUnits(amount, currency) {
+  const a = Math.round(amount || 0);
+  return minorUnitDigits(currency) === 3 ? Math.round(a / 10) * 10 : a;
+}
+
+// A USD-cents amount carried into another currency by decimal places only (50 -> ¥1, 0.500 KWD).
+// Not an exchange rate: used for per-currency settings nobody configured.
+function scaleFromUsdCents(usd_cents, currency) {
+  return roundMinorUnits(Math.round(usd_cents * 10 ** (minorUnitDigits(currency) - 2)), currency);
+}
+
+// Smallest amount Stripe will charge, in the currency's minor units
+// (https://stripe.com/docs/currencies#minimum-and-maximum-charge-amounts)
+const MINIMUM_CHARGE = {
+  usd: 50, aed: 200, aud: 50, bgn: 100, brl: 50, cad: 50, chf: 50, czk: 1500, dkk: 250, eur: 50, gbp: 30,
+  hkd: 400, huf: 17500, inr: 50, jpy: 50, mxn: 1000, myr: 200, nok: 300, nzd: 50, pln: 200, ron: 200,
+  sek: 300, sgd: 50, thb: 1000
+};
+function minimumChargeCents(currency) {
+  const c = normalizeCurrency(currency);
+  return MINIMUM_CHARGE[c] ?? scaleFromUsdCents(MINIMUM_CHARGE.usd, c);
+}
+
+// Minor units -> major units, e.g. (1250, 'usd') -> 12.5, (1250, 'jpy') -> 1250
+function toMajorUnits(amount, currency) {
+  return (amount || 0) / 10 ** minorUnitDigits(currency);
+}
+
+// Major units (what a buyer types) -> minor units
+function toMinorUnits(amount, currency) {
+  return Math.round(Number(amount) * 10 ** minorUnitDigits(currency));
+}
+
+// Plain number with the currency's decimals and no symbol, e.g. "12.50" / "1250" (input values, page prices)
+function formatAmount(amount, currency = 'usd') {
+  if (typeof amount !== 'number') return '';
+  return toMajorUnits(amount, currency).toFixed(minorUnitDigits(currency));
+}
+
+// Display price with symbol, e.g. "$12.50", "€12.50", "¥1,250"
 function formatPrice(cents, currency = 'usd') {
-    if (typeof cents !== 'number') return '';
-    const amount = (cents / 100).toFixed(2);
-    return amount;
+  if (typeof cents !== 'number') return '';
+  const digits = minorUnitDigits(currency);
+  try {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: normalizeCurrency(currency).toUpperCase(),
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }).format(toMajorUnits(cents, currency));
+  } catch (e) {
+    // Unknown code for Intl: fall back to "12.50 XYZ"
+    return `${formatAmount(cents, currency)} ${normalizeCurrency(currency).toUpperCase()}`;
   }
-  
-  module.exports = { formatPrice };
-  
\ No newline at end of file
+}
+
+// Symbol alone ("$", "€", "¥"), for page labels next to an editable amount
+function currencySymbol(currency = 'usd') {
+  const code = normalizeCurrency(currency).toUpperCase();
+  try {
+    const parts = new Intl.NumberFormat('en-US', { style: 'currency', currency: code }).formatToParts(0);
+    return parts.find(p => p.type === 'currency')?.value || code;
+  } catch (e) {
+    // Unknown code for Intl: label amounts with the code itself
+    return code;
+  }
+}
+
+// ISO 4217 code Intl knows about, e.g. 'usd' / 'JPY'; rejects typos like 'usdd' or 'abc'
+function isValidCurrency(currency) {
+  if (typeof currency !== 'string' || !/^[a-z]{3}$/i.test(currency)) return false;
+  try {
+    new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() });
+  } catch (e) {
+    return false;
+  }
+  return typeof Intl.supportedValuesOf !== 'function' || Intl.supportedValuesOf('currency').includes(currency.toUpperCase());
+}
+
+module.exports = {
+  ZERO_DECIMAL_CURRENCIES,
+  normalizeCurrency,
+  isValidCurrency,
+  minorUnitDigits,
+  roundMinorUnits,
+  scaleFromUsdCents,
+  minimumChargeCents,
+  toMajorUnits,
+  toMinorUnits,
+  formatAmount,
+  formatPrice,
+  currencySymbol
+};
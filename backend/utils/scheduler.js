@@ -0,0 +1,93 @@
+// utils/scheduler.js
+// In-process job runner for periodic maintenance. Every dyno ticks, but only the one
+// holding the lease in `schedulerLocks/{name}` runs jobs; the lease is renewed each tick
+// and taken over once it lapses (e.g. the holder was restarted).
+// Each run is recorded in `jobRuns` (set a Firestore TTL policy on `expiresAt` to purge).
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+const JOB_HISTORY_TTL_MS = 7 * 24 * 3600 * 1000;
+
+/**
+ * jobs: [{ name, everyMs, run: async () => result }]
+ * Returns { start, tick, owner }.
+ */
+function createScheduler({ name = 'main', jobs, pollMs = 60 * 1000, leaseMs = 2 * pollMs }) {
+  const db = admin.firestore();
+  const lockRef = db.collection('schedulerLocks').doc(name);
+  const owner = `${process.env.DYNO || 'local'}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+  let running = false;
+
+  // Take or renew the lease; returns the lock doc when we hold it, else null
+  async function acquireLease() {
+    return db.runTransaction(async (tx) => {
+      const snap = await tx.get(lockRef);
+      const lock = snap.exists ? snap.data() : {};
+      if (lock.owner && lock.owner !== owner && Date.parse(lock.leaseUntil) > Date.now()) return null;
+      tx.set(lockRef, {
+        owner,
+        leaseUntil: new Date(Date.now() + leaseMs).toISOString(),
+        heartbeatAt: new Date().toISOString()
+      }, { merge: true });
+      return lock;
+    });
+  }
+
+  async function runJob(job) {
+    const startedAt = new Date();
+    const runRef = db.collection('jobRuns').doc();
+    let status = 'succeeded';
+    let result = null;
+    let error = null;
+    try {
+      result = (await job.run()) ?? null;
+    } catch (err) {
+      console.error(`scheduler job ${job.name} err`, err);
+      status = 'failed';
+      error = err.message;
+    }
+    const finishedAt = new Date();
+    await runRef.set({
+      runId: runRef.id,
+      scheduler: name,
+      job: job.name,
+      owner,
+      status,
+      result,
+      error,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      expiresAt: new Date(Date.now() + JOB_HISTORY_TTL_MS)
+    });
+    await lockRef.set({
+      jobs: { [job.name]: { lastRunAt: startedAt.toISOString(), lastStatus: status, lastError: error } }
+    }, { merge: true });
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const lock = await acquireLease();
+      if (!lock) return;
+      for (const job of jobs) {
+        const lastRunAt = Date.parse(lock.jobs?.[job.name]?.lastRunAt || 0);
+        if (Date.now() - lastRunAt < (job.everyMs || pollMs)) continue;
+        await runJob(job);
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    setInterval(() => {
+      tick().catch(err => console.error(`scheduler ${name} tick err`, err));
+    }, pollMs);
+  }
+
+  return { start, tick, owner };
+}
+
+module.exports = { createScheduler };
@@ -0,0 +1,166 @@
+// utils/sessions.js
+// Signed, httpOnly seller sessions minted by the magic-link verify flow.
+// The cookie carries { sid, sellerId, exp } + HMAC; the `sessions` collection is
+// the source of truth for revocation and the absolute lifetime.
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+
+const SESSION_COOKIE = 'ip_session';
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_HOURS || 12) * 3600 * 1000;
+const SESSION_MAX_AGE_MS = Number(process.env.SESSION_MAX_DAYS || 30) * 24 * 3600 * 1000;
+
+let devSecret = null;
+function sessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  if (process.env.NODE_ENV === 'production') throw new Error('SESSION_SECRET is not set');
+  if (!devSecret) {
+    console.warn('SESSION_SECRET not set; using a per-process secret (sessions reset on restart)');
+    devSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return devSecret;
+}
+
+function sign(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const mac = crypto.createHmac('sha256', sessionSecret()).update(body).digest('base64url');
+  return `${body}.${mac}`;
+}
+
+function unsign(token) {
+  const [body, mac] = String(token || '').split('.');
+  if (!body || !mac) return null;
+  const expected = crypto.createHmac('sha256', sessionSecret()).update(body).digest('base64url');
+  const a = Buffer.from(mac);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+  try {
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function parseCookies(req) {
+  const header = req.headers?.cookie || '';
+  const out = {};
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx < 0) continue;
+    const k = part.slice(0, idx).trim();
+    if (!k) continue;
+    try {
+      out[k] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch {
+      out[k] = part.slice(idx + 1).trim();
+    }
+  }
+  return out;
+}
+
+function sessionsCol() {
+  return admin.firestore().collection('sessions');
+}
+
+// Frontends allowed to call the API with the session cookie (credentialed CORS in server.js)
+const credentialedOrigins = (process.env.CORS_ORIGINS || process.env.FRONTEND_BASE_URL || 'http://localhost:3000')
+  .split(',').map(o => o.trim()).filter(Boolean);
+
+function hostOf(origin) {
+  try {
+    return new URL(origin).hostname;
+  } catch {
+    return null;
+  }
+}
+
+// A frontend on another host (e.g. Netlify in front of a Heroku API) only gets the cookie on its
+// fetches with SameSite=None, which browsers accept only with Secure. Same host stays Lax.
+function crossSiteFrontend(req) {
+  return credentialedOrigins.some(o => hostOf(o) && hostOf(o) !== req?.hostname);
+}
+
+function cookieOptions(absoluteExpiresAt, req) {
+  const crossSite = crossSiteFrontend(req);
+  return {
+    httpOnly: true,
+    secure: crossSite || process.env.NODE_ENV === 'production',
+    sameSite: crossSite ? 'none' : 'lax',
+    path: '/',
+    // Cookie lives for the absolute lifetime so an expired session can still be refreshed
+    expires: new Date(absoluteExpiresAt)
+  };
+}
+
+// SameSite=None sends the cookie along with any site's requests, so writes carrying an Origin
+// must come from this API's own host or a credentialed frontend (CSRF guard)
+function trustedOrigin(req) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return true;
+  const origin = req.headers?.origin;
+  if (!origin) return true;
+  return credentialedOrigins.includes(origin) || hostOf(origin) === req.hostname;
+}
+
+async function createSession(res, { sellerId, email, req }) {
+  const now = Date.now();
+  const sessionId = nanoid(24);
+  const expiresAt = new Date(now + Math.min(SESSION_TTL_MS, SESSION_MAX_AGE_MS)).toISOString();
+  const absoluteExpiresAt = new Date(now + SESSION_MAX_AGE_MS).toISOString();
+
+  await sessionsCol().doc(sessionId).set({
+    sessionId,
+    sellerId,
+    email,
+    createdAt: new Date(now).toISOString(),
+    expiresAt,
+    absoluteExpiresAt,
+    revoked: false,
+    userAgent: req?.headers?.['user-agent'] || null,
+    ip: req?.ip || null
+  });
+
+  res.cookie(SESSION_COOKIE, sign({ sid: sessionId, sellerId, exp: Date.parse(expiresAt) }), cookieOptions(absoluteExpiresAt, req));
+  return { sessionId, expiresAt };
+}
+
+/**
+ * Resolve the session from the request cookie.
+ * Returns the session doc, or null if missing/invalid/expired/revoked.
+ * allowExpired lets the refresh endpoint accept a session past its short TTL.
+ */
+async function readSession(req, { allowExpired = false } = {}) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (!token || !trustedOrigin(req)) return null;
+  const claims = unsign(token);
+  if (!claims?.sid) return null;
+  if (!allowExpired && claims.exp <= Date.now()) return null;
+
+  const snap = await sessionsCol().doc(String(claims.sid)).get();
+  if (!snap.exists) return null;
+  const session = snap.data();
+  if (session.revoked) return null;
+  if (Date.parse(session.absoluteExpiresAt) <= Date.now()) return null;
+  if (session.sellerId !== claims.sellerId) return null;
+  return session;
+}
+
+async function refreshSession(res, session, req) {
+  const expiresAt = new Date(Math.min(Date.now() + SESSION_TTL_MS, Date.parse(session.absoluteExpiresAt))).toISOString();
+  await sessionsCol().doc(session.sessionId).update({ expiresAt, refreshedAt: new Date().toISOString() });
+  res.cookie(
+    SESSION_COOKIE,
+    sign({ sid: session.sessionId, sellerId: session.sellerId, exp: Date.parse(expiresAt) }),
+    cookieOptions(session.absoluteExpiresAt, req)
+  );
+  return { sessionId: session.sessionId, expiresAt };
+}
+
+async function revokeSession(res, session, req) {
+  if (session) {
+    await sessionsCol().doc(session.sessionId).update({ revoked: true, revokedAt: new Date().toISOString() });
+  }
+  const { expires, ...attrs } = cookieOptions(Date.now(), req);
+  res.clearCookie(SESSION_COOKIE, attrs);
+}
+
+module.exports = { createSession, readSession, refreshSession, revokeSession, parseCookies, credentialedOrigins, SESSION_COOKIE };
@@ -1,7 +1,7 @@
 import React, { useEffect, useState } from 'react';
-import { resolveSeller } from '../utils/api';
+import { getSession } from '../utils/api';
 
-export default function DashboardButton({ email, sellerId: sellerIdProp }) {
+export default function DashboardButton({ sellerId: sellerIdProp }) {
   const [seller, setSeller] = useState(null);
   const [loading, setLoading] = useState(false);
 
@@ -12,18 +12,17 @@ export default function DashboardButton({ email, sellerId: sellerIdProp }) {
         setSeller({ sellerId: sellerIdProp, emailVerified: true });
         return;
       }
-      if (!email) return;
       setLoading(true);
       try {
-        const res = await resolveSeller(email);
-        if (!ignore) setSeller(res.seller || null);
+        const res = await getSession();
+        if (!ignore) setSeller(res?.seller || null);
       } finally {
         if (!ignore) setLoading(false);
       }
     }
     run();
     return () => { ignore = true; };
-  }, [email, sellerIdProp]);
+  }, [sellerIdProp]);
 
   const sellerId = seller?.sellerId;
   const verified = !!seller?.emailVerified;
@@ -16,7 +16,7 @@ function PaymentSuccess() {
         <p style={styles.description}>Thank you for your purchase.</p>
         {isDigital && (
           <p style={styles.description}>
-            Your downloadable file is being processed and will be delivered within 24 hours.
+            We're emailing you a secure download link for your file. The link expires, so download it soon.
           </p>
         )}
         {/* <p style={styles.small}>Session ID: {searchParams.get('session_id')}</p> */}
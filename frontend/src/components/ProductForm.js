@@ -1,5 +1,6 @@
-import React, { useState } from 'react';
-import { createProduct, createPaymentLink, resolveSeller, requestMagicLink, createSeller, uploadDigital } from '../utils/api';
+import React, { useEffect, useRef, useState } from 'react';
+import { createProduct, createPaymentLink, getSession, requestMagicLink, createSeller, uploadDigital, getFeeQuote, newIdempotencyKey, keepIdempotencyKey } from '../utils/api';
+import { formatMoney, toMinorUnits } from '../utils/money';
 import DashboardButton from './DashboardButton';
 
 function ProductForm() {
@@ -9,6 +10,9 @@ function ProductForm() {
     price: '',
     currency: 'USD',
     isSubscription: false,
+    billingInterval: 'month', // day | week | month | year
+    billingIntervalCount: '1',
+    trialDays: '',
     expirationDate: '', // e.g. 2025-12-31T23:59
     advancedSettings: false,
     customField: '',
@@ -21,6 +25,18 @@ function ProductForm() {
     auctionEndsAt: '', // e.g. 2025-01-31T23:59
     auctionStartingPrice: '',
     auctionMinIncrement: '',
+    auctionType: 'english', // english | dutch | sealed
+    auctionFloorPrice: '', // dutch
+    auctionDropAmount: '', // dutch
+    auctionDropIntervalMinutes: '60', // dutch
+    auctionSealedPricing: 'first', // sealed: first | second price
+    quantityEnabled: false, // buyer picks a quantity on the payment page
+    pwywEnabled: false, // buyer names the price
+    pwywMinimum: '',
+    pwywSuggested: '', // comma separated, e.g. "5, 10, 20"
+    tipsEnabled: false,
+    minQuantity: '1',
+    maxQuantity: '10',
     checkoutSchema: {
       backgroundColor: '#f7fafc',
       buttonColor: '#2563eb',
@@ -34,6 +50,41 @@ function ProductForm() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [info, setInfo] = useState('');
+  const [session, setSession] = useState(null); // { seller } once the magic link has been verified
+
+  // Idempotency keys for one submit of the current form; retries reuse them (and the uploaded
+  // image) so a double click or retry after a timeout can't create a second product or link
+  const intent = useRef(null);
+  useEffect(() => {
+    intent.current = null;
+  }, [formData]);
+
+  useEffect(() => {
+    let ignore = false;
+    getSession().then((s) => {
+      if (ignore || !s?.seller) return;
+      setSession(s);
+      setFormData((prev) => ({ ...prev, sellerEmail: prev.sellerEmail || s.seller.email }));
+    });
+    return () => { ignore = true; };
+  }, []);
+
+  // Fee preview comes from the server's fee schedule (no client-side fee math)
+  const [feeQuote, setFeeQuote] = useState(null);
+  useEffect(() => {
+    const cents = toMinorUnits(formData.price, formData.currency);
+    if (!Number.isFinite(cents) || cents <= 0) {
+      setFeeQuote(null);
+      return undefined;
+    }
+    let ignore = false;
+    const t = setTimeout(() => {
+      getFeeQuote(cents, formData.currency)
+        .then((q) => { if (!ignore) setFeeQuote(q); })
+        .catch(() => { if (!ignore) setFeeQuote(null); });
+    }, 300);
+    return () => { ignore = true; clearTimeout(t); };
+  }, [formData.price, formData.currency]);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -76,68 +127,98 @@ function ProductForm() {
     setInfo('');
 
     try {
-      const priceRequired = !formData.auctionEnabled;
+      const priceRequired = !formData.auctionEnabled && !formData.pwywEnabled;
       if (!formData.productName || !formData.sellerEmail || (priceRequired && !formData.price)) {
         setValidationErrors({
           productName: !formData.productName ? 'Product name is required' : '',
-          price: (priceRequired && !formData.price) ? 'Price is required unless auction is enabled' : '',
+          price: (priceRequired && !formData.price) ? 'Price is required unless auction or pay-what-you-want is enabled' : '',
           sellerEmail: !formData.sellerEmail ? 'Seller email is required' : ''
         });
         setLoading(false);
         return;
       }
 
-      // 1) Resolve seller and ensure verified
-      const { seller } = await resolveSeller(formData.sellerEmail);
-      if (!seller || !seller.emailVerified) {
-        console.log(formData.sellerEmail)
+      // 1) Require a verified session for this email; otherwise send a magic link
+      const seller = session?.seller;
+      const sameEmail = seller && seller.email === formData.sellerEmail.toLowerCase().trim();
+      if (!seller || !seller.emailVerified || !sameEmail) {
         await requestMagicLink(formData.sellerEmail);
         setInfo('We sent a verification link to your email. Please verify to continue.');
         setLoading(false);
         return;
       }
 
+      if (!intent.current) {
+        intent.current = { productKey: newIdempotencyKey(), linkKey: newIdempotencyKey(), imageUrl: null };
+      }
+
       // 2) Image upload (optional)
       let finalImageUrl = formData.imageUrl;
       if (formData.imageFile) {
-        finalImageUrl = await handleImageUpload(formData.imageFile);
+        intent.current.imageUrl = intent.current.imageUrl || await handleImageUpload(formData.imageFile);
+        finalImageUrl = intent.current.imageUrl;
       }
 
-      // 3) Create product
+      // 3) Create product (seller comes from the session cookie)
       const productData = {
-        sellerId: seller.sellerId,
-        email: seller.email, // for server-side checks (optional)
         title: formData.productName,
         description: formData.description,
-        price_cents: priceRequired ? Math.round(parseFloat(formData.price) * 100) : 0,
+        price_cents: priceRequired ? toMinorUnits(formData.price, formData.currency) : 0,
         currency: formData.currency.toLowerCase(),
         image_url: finalImageUrl || null,
         checkoutSchema: formData.checkoutSchema,
-        digitalFileUrl: formData.digitalFileUrl || null
+        digitalFileUrl: formData.digitalFileUrl || null,
+        recurring: formData.isSubscription && !formData.auctionEnabled ? {
+          interval: formData.billingInterval,
+          interval_count: parseInt(formData.billingIntervalCount, 10) || 1,
+          trial_period_days: formData.trialDays ? parseInt(formData.trialDays, 10) : undefined
+        } : null
       };
-      const { product } = await createProduct(productData);
+      const { product } = await createProduct(productData, intent.current.productKey);
 
       // 4) Create payment link
+      const toCents = (v) => (v ? toMinorUnits(v, formData.currency) : undefined);
       const paymentLinkData = {
         productId: product.productId,
-        sellerId: seller.sellerId,
-        email: seller.email,
         expiresAt: !formData.auctionEnabled && formData.expirationDate
           ? new Date(formData.expirationDate).toISOString()
           : null,
         digitalFileUrl: formData.digitalFileUrl || null,
+        payWhatYouWant: formData.pwywEnabled && !formData.auctionEnabled ? {
+          minimum_cents: toCents(formData.pwywMinimum),
+          suggested_cents: formData.pwywSuggested
+            .split(',')
+            .map(v => toCents(v.trim()))
+            .filter(Boolean)
+        } : undefined,
+        tips: formData.tipsEnabled && !formData.auctionEnabled && !formData.pwywEnabled && !formData.isSubscription
+          ? { enabled: true }
+          : undefined,
+        quantity: formData.quantityEnabled && !formData.auctionEnabled && !formData.pwywEnabled ? {
+          min: parseInt(formData.minQuantity, 10) || 1,
+          max: parseInt(formData.maxQuantity, 10) || 1
+        } : undefined,
         auction: formData.auctionEnabled ? {
           enabled: true,
+          type: formData.auctionType,
           endsAt: formData.auctionEndsAt,
-          startingPrice_cents: formData.auctionStartingPrice ? Math.round(parseFloat(formData.auctionStartingPrice) * 100) : undefined,
-          minIncrement_cents: formData.auctionMinIncrement ? Math.round(parseFloat(formData.auctionMinIncrement) * 100) : undefined
+          startingPrice_cents: toCents(formData.auctionStartingPrice),
+          ...(formData.auctionType === 'english' ? { minIncrement_cents: toCents(formData.auctionMinIncrement) } : {}),
+          ...(formData.auctionType === 'dutch' ? {
+            floorPrice_cents: toCents(formData.auctionFloorPrice),
+            dropAmount_cents: toCents(formData.auctionDropAmount),
+            dropIntervalMinutes: Number(formData.auctionDropIntervalMinutes) || undefined
+          } : {}),
+          ...(formData.auctionType === 'sealed' ? { sealedPricing: formData.auctionSealedPricing } : {})
         } : undefined
       };
-      const { pageUrl, onboardingUrl } = await createPaymentLink(paymentLinkData);
+      const { pageUrl, onboardingUrl } = await createPaymentLink(paymentLinkData, intent.current.linkKey);
+      intent.current = null;
 
       setPreviewLink(pageUrl);
       setOnboardingLink(onboardingUrl || '');
     } catch (err) {
+      if (!keepIdempotencyKey(err)) intent.current = null;
       console.error('Error creating payment link:', err);
       setError(err.message || 'Failed to create payment link');
     } finally {
@@ -198,13 +279,68 @@ function ProductForm() {
                   <option value="USD">USD</option>
                   <option value="EUR">EUR</option>
                   <option value="GBP">GBP</option>
+                  <option value="JPY">JPY</option>
                 </select>
               </div>
               {validationErrors.price && (
                 <span style={styles.error}>{validationErrors.price}</span>
               )}
+              {feeQuote && (
+                <div style={styles.small}>
+                  You receive {formatMoney(feeQuote.net_cents, formData.currency)} after{' '}
+                  {formatMoney(feeQuote.fee_cents, formData.currency)} in fees{formData.isSubscription ? ' per payment' : ''}
+                </div>
+              )}
             </div>
 
+            {!formData.auctionEnabled && (
+              <div style={styles.formGroup}>
+                <label style={styles.label}>
+                  <input
+                    type="checkbox"
+                    checked={formData.isSubscription}
+                    onChange={(e) => setFormData({ ...formData, isSubscription: e.target.checked })}
+                  />
+                  {' '}Recurring subscription
+                </label>
+                {formData.isSubscription && (
+                  <div style={styles.inlineGroup}>
+                    <span style={styles.small}>Bill every</span>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      name="billingIntervalCount"
+                      value={formData.billingIntervalCount}
+                      onChange={handleInputChange}
+                      style={styles.input}
+                    />
+                    <select
+                      name="billingInterval"
+                      value={formData.billingInterval}
+                      onChange={handleInputChange}
+                      style={styles.select}
+                    >
+                      <option value="day">day(s)</option>
+                      <option value="week">week(s)</option>
+                      <option value="month">month(s)</option>
+                      <option value="year">year(s)</option>
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      name="trialDays"
+                      value={formData.trialDays}
+                      onChange={handleInputChange}
+                      style={styles.input}
+                      placeholder="Free trial days (optional)"
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+
             <div style={styles.formGroup}>
               <label style={styles.label}>Seller Email</label>
               <input
@@ -306,6 +442,18 @@ function ProductForm() {
             </div>
             {formData.auctionEnabled && (
               <>
+                <div style={styles.formGroup}>
+                  <label style={styles.label}>Auction Type</label>
+                  <select
+                    value={formData.auctionType}
+                    onChange={(e) => setFormData({ ...formData, auctionType: e.target.value })}
+                    style={styles.select}
+                  >
+                    <option value="english">Ascending (highest bid wins)</option>
+                    <option value="dutch">Dutch (price drops until someone buys)</option>
+                    <option value="sealed">Sealed bid (bids hidden until close)</option>
+                  </select>
+                </div>
                 <div style={styles.formGroup}>
                   <label style={styles.label}>Auction Ends At</label>
                   <input
@@ -326,18 +474,153 @@ function ProductForm() {
                     style={styles.input}
                   />
                 </div>
-                <div style={styles.formGroup}>
-                  <label style={styles.label}>Min Increment (USD)</label>
+                {formData.auctionType === 'english' && (
+                  <div style={styles.formGroup}>
+                    <label style={styles.label}>Min Increment (USD)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={formData.auctionMinIncrement}
+                      onChange={(e) => setFormData({ ...formData, auctionMinIncrement: e.target.value })}
+                      style={styles.input}
+                    />
+                  </div>
+                )}
+                {formData.auctionType === 'dutch' && (
+                  <>
+                    <div style={styles.formGroup}>
+                      <label style={styles.label}>Floor Price (USD)</label>
+                      <input
+                        type="number"
+                        min="0.01"
+                        step="0.01"
+                        value={formData.auctionFloorPrice}
+                        onChange={(e) => setFormData({ ...formData, auctionFloorPrice: e.target.value })}
+                        style={styles.input}
+                      />
+                    </div>
+                    <div style={styles.formGroup}>
+                      <label style={styles.label}>Price Drop (USD)</label>
+                      <input
+                        type="number"
+                        min="0.01"
+                        step="0.01"
+                        value={formData.auctionDropAmount}
+                        onChange={(e) => setFormData({ ...formData, auctionDropAmount: e.target.value })}
+                        style={styles.input}
+                      />
+                    </div>
+                    <div style={styles.formGroup}>
+                      <label style={styles.label}>Drop Every (minutes)</label>
+                      <input
+                        type="number"
+                        min="1"
+                        step="1"
+                        value={formData.auctionDropIntervalMinutes}
+                        onChange={(e) => setFormData({ ...formData, auctionDropIntervalMinutes: e.target.value })}
+                        style={styles.input}
+                      />
+                    </div>
+                  </>
+                )}
+                {formData.auctionType === 'sealed' && (
+                  <div style={styles.formGroup}>
+                    <label style={styles.label}>Winner Pays</label>
+                    <select
+                      value={formData.auctionSealedPricing}
+                      onChange={(e) => setFormData({ ...formData, auctionSealedPricing: e.target.value })}
+                      style={styles.select}
+                    >
+                      <option value="first">Their own bid (first price)</option>
+                      <option value="second">The second-highest bid (second price)</option>
+                    </select>
+                  </div>
+                )}
+              </>
+            )}
+
+            {!formData.auctionEnabled && (
+              <div style={styles.formGroup}>
+                <label style={styles.label}>
                   <input
-                    type="number"
-                    min="0"
-                    step="0.01"
-                    value={formData.auctionMinIncrement}
-                    onChange={(e) => setFormData({ ...formData, auctionMinIncrement: e.target.value })}
-                    style={styles.input}
+                    type="checkbox"
+                    checked={formData.pwywEnabled}
+                    onChange={(e) => setFormData({ ...formData, pwywEnabled: e.target.checked })}
                   />
-                </div>
-              </>
+                  {' '}Pay what you want
+                </label>
+                {formData.pwywEnabled && (
+                  <div style={styles.inlineGroup}>
+                    <input
+                      type="number"
+                      min="0.50"
+                      step="0.01"
+                      name="pwywMinimum"
+                      value={formData.pwywMinimum}
+                      onChange={handleInputChange}
+                      style={styles.input}
+                      placeholder="Minimum (e.g. 5.00)"
+                    />
+                    <input
+                      type="text"
+                      name="pwywSuggested"
+                      value={formData.pwywSuggested}
+                      onChange={handleInputChange}
+                      style={styles.input}
+                      placeholder="Suggested amounts (e.g. 5, 10, 20)"
+                    />
+                  </div>
+                )}
+                {!formData.pwywEnabled && !formData.isSubscription && (
+                  <label style={styles.label}>
+                    <input
+                      type="checkbox"
+                      checked={formData.tipsEnabled}
+                      onChange={(e) => setFormData({ ...formData, tipsEnabled: e.target.checked })}
+                    />
+                    {' '}Let buyers add a tip
+                  </label>
+                )}
+              </div>
+            )}
+
+            {!formData.auctionEnabled && !formData.pwywEnabled && (
+              <div style={styles.formGroup}>
+                <label style={styles.label}>
+                  <input
+                    type="checkbox"
+                    checked={formData.quantityEnabled}
+                    onChange={(e) => setFormData({ ...formData, quantityEnabled: e.target.checked })}
+                  />
+                  {' '}Let buyers choose a quantity
+                </label>
+                {formData.quantityEnabled && (
+                  <div style={styles.inlineGroup}>
+                    <span style={styles.small}>Min</span>
+                    <input
+                      type="number"
+                      min="1"
+                      step="1"
+                      name="minQuantity"
+                      value={formData.minQuantity}
+                      onChange={handleInputChange}
+                      style={styles.input}
+                    />
+                    <span style={styles.small}>Max</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max="99"
+                      step="1"
+                      name="maxQuantity"
+                      value={formData.maxQuantity}
+                      onChange={handleInputChange}
+                      style={styles.input}
+                    />
+                  </div>
+                )}
+              </div>
             )}
 
             {/* NEW: Non-auction expiration field */}
@@ -405,7 +688,7 @@ function ProductForm() {
               Buy Now
             </button>
           </div>
-          <DashboardButton email={formData.sellerEmail} />
+          <DashboardButton sellerId={session?.seller?.sellerId} />
         </div>
       </div>
     </div>
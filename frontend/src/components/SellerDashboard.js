@@ -1,27 +1,9 @@
-import React, { useEffect, useState } from 'react';
-import { useSearchParams } from 'react-router-dom';
+import React, { useEffect, useRef, useState } from 'react';
 import { styles } from '../styles/shared';
-import { resolveSeller, getSellerSummary, getSellerLedger, requestPayout } from '../utils/api';
-
-function fmtUSD(cents) {
-  return `$${((cents || 0) / 100).toFixed(2)}`;
-}
-
-function stripeFee(cents) {
-  return Math.round((cents || 0) * 0.029) + 30;
-}
-
-function platformFee(cents) {
-  return Math.round((cents || 0) * 0.05);
-}
-
-function netAfterFees(cents) {
-  return Math.max(0, (cents || 0) - stripeFee(cents) - platformFee(cents));
-}
+import { getSession, getSellerSummary, getSellerLedger, requestPayout, newIdempotencyKey, keepIdempotencyKey } from '../utils/api';
+import { formatMoney } from '../utils/money';
 
 export default function SellerDashboard() {
-  const [searchParams] = useSearchParams();
-  const emailFromQuery = searchParams.get('email') || '';
   const [seller, setSeller] = useState(null);
   const [summary, setSummary] = useState(null);
   const [ledger, setLedger] = useState([]);
@@ -29,18 +11,17 @@ export default function SellerDashboard() {
   const [payoutLoading, setPayoutLoading] = useState(false);
   const [error, setError] = useState('');
   const [toast, setToast] = useState(null);
+  // Same key until the payout request gets a definitive answer, so a retry can't pay out twice
+  const payoutKey = useRef(null);
 
   useEffect(() => {
     async function init() {
       try {
         setLoading(true);
-        let s = null;
-        if (emailFromQuery) {
-          const res = await resolveSeller(emailFromQuery);
-          s = res.seller;
-        }
+        const session = await getSession();
+        const s = session?.seller;
         if (!s || !s.sellerId) {
-          setError('Seller not found or not verified.');
+          setError('Please sign in with the verification link we emailed you.');
           setLoading(false);
           return;
         }
@@ -56,19 +37,22 @@ export default function SellerDashboard() {
       }
     }
     init();
-  }, [emailFromQuery]);
+  }, []);
 
   const onPayout = async () => {
     if (!seller) return;
     setPayoutLoading(true);
     setToast('Submitting payout request…');
     try {
-      const r = await requestPayout(seller.sellerId);
+      if (!payoutKey.current) payoutKey.current = newIdempotencyKey();
+      await requestPayout(payoutKey.current);
+      payoutKey.current = null;
       setToast('Payout request submitted.');
       const sum = await getSellerSummary(seller.sellerId);
       setSummary(sum);
       setTimeout(() => setToast(null), 4000);
     } catch (e) {
+      if (!keepIdempotencyKey(e)) payoutKey.current = null;
       setToast(`Error: ${e.message}`);
       setTimeout(() => setToast(null), 5000);
     } finally {
@@ -79,9 +63,14 @@ export default function SellerDashboard() {
   if (loading) return <div style={styles.card}>Loading…</div>;
   if (error) return <div style={styles.card}>Error: {error}</div>;
 
+  // Headline balance is the payout currency; balances held in other currencies are listed under it
+  const currency = summary?.balance?.currency || 'usd';
   const available = summary?.balance?.available_cents || 0;
+  const otherBalances = Object.entries(summary?.balance?.byCurrency || {})
+    .filter(([cur, b]) => cur !== currency && b.available_cents)
+    .map(([cur, b]) => ({ currency: cur, available_cents: b.available_cents }));
   const lastPayoutAt = summary?.payouts?.lastPayoutAt;
-  const net = netAfterFees(available);
+  const subscribers = summary?.subscribers?.items || [];
 
   return (
     <div style={{ padding: 24 }}>
@@ -107,11 +96,12 @@ export default function SellerDashboard() {
 
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit,minmax(220px,1fr))', gap: 16, marginTop: 12 }}>
         <div style={styles.card}>
-          <div style={styles.small}>Gross Balance</div>
-          <div style={{ fontSize: 28, fontWeight: 700 }}>{fmtUSD(available)}</div>
-          <div style={styles.small} title="Estimated after Stripe + platform fees">
-            Net After Fees: <strong>{fmtUSD(net)}</strong>
-          </div>
+          <div style={styles.small}>Available Balance ({currency.toUpperCase()})</div>
+          <div style={{ fontSize: 28, fontWeight: 700 }}>{formatMoney(available, currency)}</div>
+          <div style={styles.small}>Net of platform and processing fees</div>
+          {otherBalances.map((b) => (
+            <div key={b.currency} style={styles.small}>Also available: {formatMoney(b.available_cents, b.currency)}</div>
+          ))}
           <button
             style={{ ...styles.button, marginTop: 12, opacity: available > 0 && !payoutLoading ? 1 : 0.6 }}
             disabled={available <= 0 || payoutLoading}
@@ -131,8 +121,33 @@ export default function SellerDashboard() {
           <div style={styles.small}>Payment Links</div>
           <div style={{ fontSize: 28, fontWeight: 700 }}>{summary?.stats?.links || 0}</div>
         </div>
+
+        <div style={styles.card}>
+          <div style={styles.small}>Active Subscribers</div>
+          <div style={{ fontSize: 28, fontWeight: 700 }}>{summary?.subscribers?.active || 0}</div>
+        </div>
       </div>
 
+      {subscribers.length > 0 && (
+        <div style={{ ...styles.card, marginTop: 16 }}>
+          <div style={{ fontWeight: 600, marginBottom: 8 }}>Subscribers</div>
+          <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
+            {subscribers.map((s) => (
+              <li key={s.subscriptionId} style={{ display: 'flex', justifyContent: 'space-between', padding: '8px 0', borderBottom: '1px solid #eee' }}>
+                <div>
+                  <div style={{ fontWeight: 600 }}>{s.email || s.customerId || s.subscriptionId}</div>
+                  <div style={styles.small}>
+                    {s.status}{s.cancelAtPeriodEnd ? ' · cancels at period end' : ''}
+                    {s.currentPeriodEnd ? ` · renews ${new Date(s.currentPeriodEnd).toLocaleDateString()}` : ''}
+                  </div>
+                </div>
+                <div style={{ fontWeight: 600 }}>{formatMoney(s.lifetime_cents || 0, s.currency)}</div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div style={{ ...styles.card, marginTop: 16 }}>
         <div style={{ fontWeight: 600, marginBottom: 8 }}>Recent Activity</div>
         {ledger.length === 0 && <div style={styles.small}>No recent activity</div>}
@@ -143,7 +158,7 @@ export default function SellerDashboard() {
                 <div style={{ fontWeight: 600, textTransform: 'capitalize' }}>{(e.type || '').replace('.', ' · ')}</div>
                 <div style={styles.small}>{new Date(e.createdAt).toLocaleString()}</div>
               </div>
-              <div style={{ fontWeight: 600 }}>{e.amount_cents ? fmtUSD(e.amount_cents) : ''}</div>
+              <div style={{ fontWeight: 600 }}>{e.amount_cents ? formatMoney(e.amount_cents, e.currency) : ''}</div>
             </li>
           ))}
         </ul>
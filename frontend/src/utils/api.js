@@ -5,32 +5,69 @@ const API_BASE = 'https://ctrlaltinnovate-64f4a6aee6b6.herokuapp.com';
 
 const API_KEY = process.env.REACT_APP_FIREBASE_API_KEY;
 
-async function callApi(path, init = {}) {
+// Bearer credential for seller-scoped routes (Firebase ID token or seller API key)
+const AUTH_TOKEN_KEY = 'instapay.authToken';
+
+export function setAuthToken(token) {
+  if (token) window.localStorage.setItem(AUTH_TOKEN_KEY, token);
+  else window.localStorage.removeItem(AUTH_TOKEN_KEY);
+}
+
+function getAuthToken() {
+  try { return window.localStorage.getItem(AUTH_TOKEN_KEY); } catch { return null; }
+}
+
+async function callApi(path, init = {}, { retryOnAuth = true } = {}) {
   const base = process.env.REACT_APP_BACKEND_BASE_URL || '';
+  const token = getAuthToken();
   const headers = {
     'Content-Type': 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
     ...(init.headers || {})
   };
-  const res = await fetch(`${base}${path}`, { ...init, headers });
+  // Session cookie (set by the magic-link verify step) rides along automatically
+  const res = await fetch(`${base}${path}`, { credentials: 'include', ...init, headers });
+  if (res.status === 401 && retryOnAuth && !token) {
+    const refreshed = await fetch(`${base}/api/auth/session/refresh`, { method: 'POST', credentials: 'include' });
+    if (refreshed.ok) return callApi(path, init, { retryOnAuth: false });
+  }
   const text = await res.text();
   let json; try { json = JSON.parse(text); } catch { json = { raw: text }; }
   if (!res.ok) {
-    throw new Error(json.error || json.message || `HTTP ${res.status}`);
+    const err = new Error(json.error || json.message || `HTTP ${res.status}`);
+    err.status = res.status;
+    err.inProgress = res.headers.has('Retry-After');
+    throw err;
   }
   return json;
 }
 
-export async function createProduct(data) {
+// One key per user intent; the server replays the first response for repeats (24h)
+export function newIdempotencyKey() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Whether a failed call should be retried under the same key: no response at all, the
+// first attempt is still running, or a 5xx (the server doesn't cache those). Anything
+// else is a definitive answer and the next attempt is a new intent.
+export function keepIdempotencyKey(err) {
+  return !err?.status || err.inProgress || err.status >= 500;
+}
+
+export async function createProduct(data, idempotencyKey) {
   return callApi('/api/products', {
     method: 'POST',
+    headers: { 'Idempotency-Key': idempotencyKey },
     body: JSON.stringify(data)
   });
 }
 
-export async function createPaymentLink(payload) {
-  // payload should include { productId, sellerId?, email? }
+export async function createPaymentLink(payload, idempotencyKey) {
+  // payload should include { productId }; the seller comes from the session
   return callApi('/api/links', {
     method: 'POST',
+    headers: { 'Idempotency-Key': idempotencyKey },
     body: JSON.stringify(payload)
   });
 }
@@ -57,10 +94,10 @@ export async function uploadDigital(productId, file) {
   return res; // { digitalDownload }
 }
 
+// The signed-in caller's own seller (the API refuses anyone else's email)
 export async function resolveSeller(email) {
-  const res = await fetch(`/api/sellers/resolve?email=${encodeURIComponent(email)}`);
-  if (!res.ok) throw new Error('Failed to resolve seller');
-  return res.json(); // { seller: { sellerId, emailVerified, ... } | null }
+  const qs = email ? `?email=${encodeURIComponent(email)}` : '';
+  return callApi(`/api/sellers/resolve${qs}`); // { seller: { sellerId, emailVerified, ... } | null }
 }
 
 export async function requestMagicLink(email) {
@@ -70,6 +107,18 @@ export async function requestMagicLink(email) {
   });
 }
 
+export async function getSession() {
+  try {
+    return await callApi('/api/auth/session', { method: 'GET' });
+  } catch {
+    return null; // { seller, expiresAt } | null
+  }
+}
+
+export async function logout() {
+  return callApi('/api/auth/logout', { method: 'POST' }, { retryOnAuth: false });
+}
+
 export async function getSellerSummary(sellerId) {
   return callApi(`/api/sellers/${encodeURIComponent(sellerId)}/summary`, { method: 'GET' });
 }
@@ -78,9 +127,20 @@ export async function getSellerLedger(sellerId, limit = 25) {
   return callApi(`/api/sellers/${encodeURIComponent(sellerId)}/ledger?limit=${limit}`, { method: 'GET' });
 }
 
-export async function requestPayout(sellerId) {
+export async function getPayoutHistory(sellerId, { limit = 20, cursor } = {}) {
+  const qs = `limit=${limit}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+  return callApi(`/api/sellers/${encodeURIComponent(sellerId)}/payouts?${qs}`, { method: 'GET' });
+}
+
+export async function getFeeQuote(amount_cents, currency = 'usd') {
+  const qs = `amount_cents=${encodeURIComponent(amount_cents)}&currency=${encodeURIComponent(currency.toLowerCase())}`;
+  return callApi(`/api/fees/quote?${qs}`, { method: 'GET' });
+}
+
+export async function requestPayout(idempotencyKey) {
   return callApi('/api/payouts/request', {
     method: 'POST',
-    body: JSON.stringify({ sellerId })
+    headers: { 'Idempotency-Key': idempotencyKey },
+    body: JSON.stringify({})
   });
 }
\ No newline at end of file
@@ -0,0 +1,33 @@
+// Amounts from the API are integer minor units (`_cents`) of their own currency.
+// Zero-decimal currencies (JPY, KRW, ...) have no minor unit; a few (KWD, BHD, ...) have three.
+// Keep in step with backend/utils/mustacheHelpers.js.
+const ZERO_DECIMAL = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+const THREE_DECIMAL = ['bhd', 'jod', 'kwd', 'omr', 'tnd'];
+
+export function minorUnitDigits(currency) {
+  const c = String(currency || 'usd').toLowerCase();
+  if (ZERO_DECIMAL.includes(c)) return 0;
+  if (THREE_DECIMAL.includes(c)) return 3;
+  return 2;
+}
+
+// "12.50" typed by a seller -> 1250 (or 12 for JPY); NaN when not a number
+export function toMinorUnits(value, currency) {
+  return Math.round(parseFloat(value) * 10 ** minorUnitDigits(currency));
+}
+
+// 1250 -> "$12.50", "€12.50", "¥1,250"
+export function formatMoney(cents, currency = 'usd') {
+  const digits = minorUnitDigits(currency);
+  const amount = (cents || 0) / 10 ** digits;
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: 'currency',
+      currency: String(currency || 'usd').toUpperCase(),
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits
+    }).format(amount);
+  } catch (e) {
+    return `${amount.toFixed(digits)} ${String(currency || 'usd').toUpperCase()}`;
+  }
+}